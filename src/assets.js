@@ -4,16 +4,57 @@
  * Assets are stored under:
  *   <outputRoot>/<workspace>/<pagePath>/_assets/<filename>
  *
+ * or, with a shared store (config `assets.store`: "workspace" or "vault"), in
+ * one _assets folder per workspace or for the whole export, named by a hash of
+ * their content (<sha256>.png), so an image used on many pages is stored once.
+ * The store's asset-index.json (in the output root) records which pages
+ * reference each file, so --prune-assets can delete the ones no page uses.
+ *
  * Images already embedded as data: URIs are written out as files too.
+ *
+ * Most SharePoint/Loop asset URLs have no file extension (or a useless one,
+ * like download.aspx), so the extension is decided after the download: from
+ * the response Content-Type, else from the file's magic bytes, else the URL's
+ * own extension, else .bin. The file is downloaded under a temporary name and
+ * renamed once it is complete and the extension is known, so an interrupted
+ * download never leaves a truncated file that a later run takes as done.
+ *
+ * Downloads are authenticated like the browser itself, trying in order:
+ *   request     the BrowserContext's request API: its cookie jar, scoped per
+ *               domain and kept across cross-domain SharePoint redirects
+ *   page        fetch() inside the Loop tab, with its cookies and the bearer
+ *               token the app last sent to the file's host (captured from the
+ *               app's own requests, see captureBearerTokens): what only the
+ *               signed-in SPA can reach
+ *   node-fetch  a plain request with the session's cookies in one header
+ * The first one that gets the file wins; the audit counts downloads per
+ * strategy (`assetStrategies`).
+ *
+ * Downloads go through a queue (createDownloadQueue, config `assets`) that
+ * bounds how many run at once, times out each request, retries 429/5xx
+ * responses and timeouts, and leaves files over a size cap as links.
  */
 
-import { createWriteStream, mkdirSync, existsSync } from 'fs';
-import { writeFile } from 'fs/promises';
+import { createWriteStream, createReadStream, mkdirSync, existsSync, readdirSync, readFileSync, writeFileSync, renameSync, unlinkSync } from 'fs';
+import { writeFile, open } from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
 import { pipeline } from 'stream/promises';
+import { setTimeout as delay } from 'timers/promises';
+import { backoffDelay } from './failures.js';
+import { toPosix } from './helpers.js';
+
+export const ASSET_STORES = ['page', 'workspace', 'vault'];
+export const ASSET_INDEX_FILENAME = 'asset-index.json';
+export const DOWNLOAD_STRATEGIES = ['request', 'page', 'node-fetch'];
 
 let _fetch;
+
+// Downloads in progress, keyed by absolute local path. Pages exported in
+// parallel tabs can share an _assets dir; the second caller for the same file
+// waits for the first download instead of writing the file concurrently.
+const inflight = new Map();
+
 async function getFetch() {
   if (!_fetch) {
     const mod = await import('node-fetch');
@@ -28,10 +69,16 @@ async function getFetch() {
  *
  * @param {string} assetUrl  - Remote URL (https://…) or data: URI
  * @param {string} assetsDir - Absolute path to the _assets directory for this page
- * @param {object} [context] - { cookies, headers } to authenticate requests
+ * @param {object} [context] - How to authenticate requests (see fetchAsset):
+ *                             { request, page, cookies, headers, strategies, queue, binaryAssets }
+ * @param {object} [opts]    - Download options (see fetchToTemp)
+ * @param {string} [opts.filename] - The file's real name, when the URL doesn't carry it
+ *                                   (attachments); its extension wins over the response's
+ * @param {number} [opts.maxBytes] - Give up on files larger than this
+ * @param {(ext: string) => boolean} [opts.accept] - Keep the file only if its extension passes
  * @returns {Promise<string|null>} - Relative path to saved file, e.g. "./_assets/image.png"
  */
-export async function downloadAsset(assetUrl, assetsDir, context = {}) {
+export async function downloadAsset(assetUrl, assetsDir, context = {}, opts = {}) {
   mkdirSync(assetsDir, { recursive: true });
 
   try {
@@ -41,48 +88,518 @@ export async function downloadAsset(assetUrl, assetsDir, context = {}) {
     }
 
     // ── Remote URL ───────────────────────────────────────────────────────────
-    const filename = await deriveFilename(assetUrl);
-    const localPath = path.join(assetsDir, filename);
-    const relativePath = `./_assets/${filename}`;
-
-    // Skip if already downloaded
-    if (existsSync(localPath)) return relativePath;
-
-    const fetch = await getFetch();
-    const headers = {
-      'User-Agent':
-        'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 ' +
-        '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
-      ...(context.headers || {}),
+    const { stem, ext } = deriveFilename(assetUrl, opts.filename);
+    const stemPath = path.join(assetsDir, stem);
+
+    // Skip if already downloaded, under whatever extension it got (or being
+    // downloaded by another tab)
+    if (inflight.has(stemPath)) return await inflight.get(stemPath);
+    const existing = findDownloaded(assetsDir, stem, context.binaryAssets);
+    if (existing) return `./_assets/${existing}`;
+
+    const download = fetchToFile(assetUrl, stemPath, context, { ...opts, urlExt: ext });
+    inflight.set(stemPath, download);
+    try {
+      return await download;
+    } finally {
+      inflight.delete(stemPath);
+    }
+  } catch (err) {
+    console.warn(`  [asset] Failed to download ${assetUrl}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Fetch a remote asset to `<stemPath>.<ext>`, the extension chosen from the
+ * response (see module comment). Returns its relative path, or null on failure.
+ */
+async function fetchToFile(assetUrl, stemPath, context, opts) {
+  const tmpPath = `${stemPath}.download`;
+  const ext = await fetchToTemp(assetUrl, tmpPath, context, opts);
+  if (!ext) return null;
+  const filename = `${path.basename(stemPath)}.${ext}`;
+  const file = path.join(path.dirname(stemPath), filename);
+  renameSync(tmpPath, file);
+  if (ext === 'bin') context.binaryAssets?.add(file);
+  return `./_assets/${filename}`;
+}
+
+/**
+ * Fetch a remote asset to `tmpPath` and work out its extension.
+ * Returns the extension, or null on failure or when the file is refused by
+ * `maxBytes`/`accept` (nothing is left at `tmpPath`).
+ * @param {object} opts
+ * @param {string} [opts.filename]  - Real file name; its extension is used as-is, unless
+ *                                    the response's Content-Disposition names another
+ * @param {string} [opts.urlExt]    - The URL's extension, if it's a known one (last resort)
+ * @param {number} [opts.maxBytes]
+ * @param {(ext: string) => boolean} [opts.accept]
+ */
+async function fetchToTemp(assetUrl, tmpPath, context, { filename, urlExt, maxBytes, accept } = {}) {
+  const queue = context.queue || defaultQueue;
+  // The tighter of the caller's limit (attachments) and the queue's
+  const limit = Math.min(maxBytes || Infinity, queue.maxBytes || Infinity);
+  const opts = { filename, urlExt, maxBytes: Number.isFinite(limit) ? limit : 0, accept };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // The queue slot is held for one attempt; waiting for a retry doesn't block other downloads
+      return await queue.run(() => fetchOnce(assetUrl, tmpPath, context, queue, opts));
+    } catch (err) {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+      if (!err.retryable || attempt > queue.retries) {
+        console.warn(`  [asset] Failed to download ${assetUrl}: ${err.message}`);
+        return null;
+      }
+      const wait = err.retryAfterMs ?? backoffDelay(attempt, queue.retryDelay, { jitter: 0.25 });
+      console.warn(`  [asset] ${err.message} for ${assetUrl} — retry ${attempt}/${queue.retries} in ${wait}ms`);
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * One download attempt. Returns the extension, or null when the file can't
+ * or mustn't be downloaded; throws errors marked `retryable` (429/5xx,
+ * timeouts, dropped connections) for fetchToTemp to retry.
+ */
+async function fetchOnce(assetUrl, tmpPath, context, queue, { filename, urlExt, maxBytes, accept }) {
+  const resp = await fetchAsset(assetUrl, context, { maxBytes, timeoutMs: queue.timeoutMs });
+  if (!resp) return null;
+  try {
+    const tooLarge = `larger than ${formatBytes(maxBytes)} — left as a link`;
+    if (maxBytes && Number(resp.header('content-length')) > maxBytes) {
+      console.warn(`  [asset] Skipped ${assetUrl}: ${tooLarge}`);
+      return null;
+    }
+
+    // Content-Length may be missing or wrong: count while streaming too
+    let received = 0;
+    let overLimit = false;
+    const limit = async function* (source) {
+      for await (const chunk of source) {
+        received += chunk.length;
+        if (maxBytes && received > maxBytes) {
+          overLimit = true;
+          throw new Error(tooLarge);
+        }
+        yield chunk;
+      }
     };
-    if (context.cookies) {
-      headers['Cookie'] = context.cookies;
+    try {
+      await pipeline(resp.body, limit, createWriteStream(tmpPath));
+    } catch (err) {
+      if (existsSync(tmpPath)) unlinkSync(tmpPath);
+      if (overLimit) {
+        console.warn(`  [asset] Skipped ${assetUrl}: ${tooLarge}`);
+        return null;
+      }
+      throw retryable(`Download interrupted (${err.message})`);
     }
 
-    const resp = await fetch(assetUrl, { headers, redirect: 'follow' });
-    if (!resp.ok) {
-      console.warn(`  [asset] HTTP ${resp.status} for ${assetUrl}`);
+    // The server's file name (Content-Disposition) outranks the one we were given
+    const named = [dispositionFilename(resp.header('content-disposition')), filename]
+      .map((name) => (name ? path.extname(name).slice(1).toLowerCase() : ''))
+      .find(Boolean);
+    const ext = named || mimeToExt(resp.header('content-type')) || sniffExt(await readHead(tmpPath)) || urlExt || 'bin';
+    if (accept && !accept(ext)) {
+      unlinkSync(tmpPath);
+      console.warn(`  [asset] Skipped ${assetUrl}: .${ext} files are not downloaded — left as a link`);
       return null;
     }
+    if (context.strategies) context.strategies[resp.strategy] = (context.strategies[resp.strategy] || 0) + 1;
+    return ext;
+  } finally {
+    resp.close();
+  }
+}
+
+// ─── Download queue ───────────────────────────────────────────────────────────
+
+/**
+ * Limits shared by every download of an export run (config `assets`): at most
+ * `concurrency` downloads at once across all tabs, each request given
+ * `timeoutSeconds`, 429/5xx responses and timeouts retried `retries` times
+ * (after the server's Retry-After, else with exponential backoff), and files
+ * over `maxSizeMB` left as links (0 = no limit).
+ * @param {object} [limits]
+ * @param {number} [limits.concurrency]
+ * @param {number} [limits.timeoutSeconds]
+ * @param {number} [limits.retries]
+ * @param {number} [limits.maxSizeMB]
+ * @param {number} [limits.retryDelay] - Base backoff in ms (not a config key)
+ * @returns {{ run: <T>(fn: () => Promise<T>) => Promise<T>, timeoutMs: number, retries: number,
+ *   retryDelay: number, maxBytes: number }}
+ */
+export function createDownloadQueue({ concurrency = 4, timeoutSeconds = 60, retries = 3, maxSizeMB = 0, retryDelay = 1000 } = {}) {
+  let active = 0;
+  const waiting = [];
+
+  async function run(fn) {
+    if (active < concurrency) active++;
+    else await new Promise((resolve) => waiting.push(resolve)); // the slot is handed over, see below
+    try {
+      return await fn();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  }
+
+  return {
+    run,
+    timeoutMs: timeoutSeconds * 1000,
+    retries,
+    retryDelay,
+    maxBytes: maxSizeMB > 0 ? maxSizeMB * 1024 * 1024 : 0,
+  };
+}
 
-    await pipeline(resp.body, createWriteStream(localPath));
-    return relativePath;
+const defaultQueue = createDownloadQueue();
+
+// HTTP statuses worth retrying: the server is busy or briefly broken
+const RETRYABLE_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+// A Retry-After longer than this is the server asking for more than a retry can give
+const MAX_RETRY_AFTER_MS = 120_000;
+
+function retryable(message, retryAfterMs = null) {
+  return Object.assign(new Error(message), { retryable: true, retryAfterMs });
+}
+
+/**
+ * Retry-After (seconds or an HTTP date) → milliseconds from now, clamped to
+ * 0…MAX_RETRY_AFTER_MS, or null when missing or unreadable.
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const ms = /^\d+$/.test(value.trim()) ? Number(value) * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_AFTER_MS) : null;
+}
+
+// ─── Fetch strategies ─────────────────────────────────────────────────────────
+
+/**
+ * Request an asset with each strategy the context allows, in order, until one
+ * gets a 2xx response. A 401/403/404 or a refused request moves on to the next
+ * strategy; a busy server (429/5xx) or a timeout throws a retryable error, as
+ * the other strategies would hit the same server.
+ * @param {string} assetUrl
+ * @param {object} context
+ * @param {import('playwright').APIRequestContext} [context.request] - context.request of the BrowserContext
+ * @param {import('playwright').Page} [context.page]   - The tab showing the page, for in-page fetch
+ * @param {string} [context.cookies]                   - Cookie header for node-fetch
+ * @param {Record<string, string>} [context.headers]   - Extra request headers
+ * @param {Record<string, number>} [context.strategies] - Downloads per strategy are counted here
+ * @param {object} [context.queue]                     - From createDownloadQueue (default limits otherwise)
+ * @param {object} [context.tokens]                    - From captureBearerTokens, for in-page fetch
+ * @param {object} [context.binaryAssets]              - .bin files whose type is really unknown
+ *                                                       (state.binaryAssetSet); see findDownloaded
+ * @param {object} opts
+ * @param {number} [opts.maxBytes]  - Size cap; the request API and in-page fetch don't
+ *                                   transfer bodies larger than this
+ * @param {number} opts.timeoutMs   - Per request
+ * @returns {Promise<{ strategy: string, header: (name: string) => string|null,
+ *   body: AsyncIterable<Buffer>, close: () => void }|null>} null when every strategy failed
+ */
+async function fetchAsset(assetUrl, context, { maxBytes, timeoutMs }) {
+  const attempts = [];
+  for (const strategy of DOWNLOAD_STRATEGIES) {
+    if (!STRATEGIES[strategy].usable(context)) continue;
+    let resp;
+    try {
+      resp = await STRATEGIES[strategy].fetch(assetUrl, context, { maxBytes, timeoutMs });
+    } catch (err) {
+      if (err.timedOut) throw retryable(`Timed out after ${timeoutMs / 1000}s (${strategy})`);
+      attempts.push(`${strategy}: ${err.message.split('\n')[0]}`);
+      continue;
+    }
+    if (resp.status >= 200 && resp.status < 300) return { ...resp, strategy };
+    resp.close();
+    if (RETRYABLE_STATUS(resp.status)) {
+      throw retryable(`HTTP ${resp.status} (${strategy})`, parseRetryAfter(resp.header('retry-after')));
+    }
+    attempts.push(`${strategy}: HTTP ${resp.status}`);
+  }
+  console.warn(`  [asset] Could not fetch ${assetUrl} (${attempts.join('; ') || 'no download strategy'})`);
+  return null;
+}
+
+// The request API and in-page fetch hold a whole body in memory before it can
+// be written (in-page fetch also sends it as base64 over the DevTools
+// protocol), so each takes files up to a ceiling; bigger ones are left to
+// node-fetch, which streams. The request API can't stop a body part way: when
+// it doesn't know the size, it asks for one byte past its ceiling with a Range
+// header, and a server that ignores Range is caught by the body's length.
+const REQUEST_MAX_BYTES = 64 * 1024 * 1024;
+const PAGE_MAX_BYTES = 16 * 1024 * 1024;
+
+// Each returns { status, header(name), body, close() }, and throws errors
+// marked `timedOut` when the request took longer than timeoutMs
+const STRATEGIES = {
+  request: {
+    usable: (context) => Boolean(context.request),
+    async fetch(assetUrl, context, { maxBytes, timeoutMs }) {
+      // With a size cap, a HEAD spares downloading what would be skipped anyway
+      const size = maxBytes ? await requestSize(assetUrl, context, timeoutMs) : null;
+      if (size !== null && size > maxBytes) return sizeOnly(size);
+      if (size !== null && size > REQUEST_MAX_BYTES) throw new Error(`${formatBytes(size)} — left to a streaming download`);
+      if (size !== null) return requestGet(assetUrl, context, timeoutMs);
+
+      const ceiling = Math.min(maxBytes || Infinity, REQUEST_MAX_BYTES);
+      let resp = await requestGet(assetUrl, context, timeoutMs, { Range: `bytes=0-${ceiling}` });
+      // Nothing to range over: an empty file
+      if (resp.status === 416) resp = await requestGet(assetUrl, context, timeoutMs);
+      if (resp.status !== 200 && resp.status !== 206) return resp;
+      if (resp.data.length <= ceiling) {
+        const { 'content-range': _, ...headers } = resp.headers;
+        return bufferedResponse(200, headers, resp.data);
+      }
+
+      const total = (resp.status === 206 && rangeTotal(resp.header('content-range'))) || resp.data.length;
+      if (maxBytes && total > maxBytes) return sizeOnly(total);
+      throw new Error(`over the ${formatBytes(REQUEST_MAX_BYTES)} request limit — left to a streaming download`);
+    },
+  },
+
+  page: {
+    usable: (context) => Boolean(context.page),
+    async fetch(assetUrl, context, { maxBytes, timeoutMs }) {
+      const token = context.tokens?.forUrl(assetUrl);
+      const resp = await context.page.evaluate(fetchInPage, {
+        url: assetUrl,
+        headers: { ...(context.headers || {}), ...(token ? { Authorization: token } : {}) },
+        maxBytes: Math.min(maxBytes || Infinity, PAGE_MAX_BYTES),
+        timeoutMs,
+      });
+      if (resp.timedOut) throw Object.assign(new Error('Timed out'), { timedOut: true });
+      if (resp.tooLarge) {
+        if (maxBytes && Number(resp.contentLength) > maxBytes) return sizeOnly(Number(resp.contentLength));
+        throw new Error(`over the ${formatBytes(PAGE_MAX_BYTES)} in-page limit — left to a streaming download`);
+      }
+      const headers = {
+        'content-type': resp.contentType,
+        'content-length': resp.contentLength,
+        'content-disposition': resp.contentDisposition,
+        'retry-after': resp.retryAfter,
+      };
+      return {
+        status: resp.status,
+        header: (name) => headers[name] ?? null,
+        body: (async function* () {
+          if (resp.data) yield Buffer.from(resp.data, 'base64');
+        })(),
+        close: () => {},
+      };
+    },
+  },
+
+  'node-fetch': {
+    usable: () => true,
+    async fetch(assetUrl, context, { timeoutMs }) {
+      const fetch = await getFetch();
+      const headers = {
+        'User-Agent':
+          'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 ' +
+          '(KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+        ...(context.headers || {}),
+      };
+      if (context.cookies) {
+        headers['Cookie'] = context.cookies;
+      }
+      // The timeout covers the body too: a stalled stream is aborted mid-download
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+      let resp;
+      try {
+        resp = await fetch(assetUrl, { headers, redirect: 'follow', signal: controller.signal });
+      } catch (err) {
+        clearTimeout(timer);
+        throw Object.assign(err, { timedOut: err.name === 'AbortError' });
+      }
+      return {
+        status: resp.status,
+        header: (name) => resp.headers.get(name),
+        body: resp.body,
+        close: () => {
+          clearTimeout(timer);
+          resp.body.destroy?.();
+        },
+      };
+    },
+  },
+};
+
+/**
+ * Collect the bearer tokens the Loop app sends with its own requests, by host.
+ * Tokens live in the app's sign-in library, not in cookies, so the request API
+ * and node-fetch never have them; in-page fetch adds the latest one for the
+ * asset's host (context.tokens).
+ * @param {import('playwright').BrowserContext} browserContext
+ * @returns {{ forUrl: (url: string) => string|null, stop: () => void }}
+ */
+export function captureBearerTokens(browserContext) {
+  const tokens = new Map(); // host → "Bearer …"
+  const onRequest = (request) => {
+    request.headerValue('authorization').then((value) => {
+      if (value && /^Bearer\s/i.test(value)) tokens.set(new URL(request.url()).host, value);
+    }).catch(() => {});
+  };
+  browserContext.on('request', onRequest);
+  return {
+    forUrl(url) {
+      try {
+        return tokens.get(new URL(url).host) || null;
+      } catch {
+        return null;
+      }
+    },
+    stop: () => browserContext.off('request', onRequest),
+  };
+}
+
+/**
+ * The size the server reports for `assetUrl` (HEAD through the request API),
+ * or null when it doesn't say.
+ */
+async function requestSize(assetUrl, context, timeoutMs) {
+  let resp;
+  try {
+    resp = await context.request.head(assetUrl, {
+      headers: context.headers,
+      failOnStatusCode: false,
+      maxRedirects: 20,
+      timeout: timeoutMs,
+    });
   } catch (err) {
-    console.warn(`  [asset] Failed to download ${assetUrl}: ${err.message}`);
-    return null;
+    throw Object.assign(err, { timedOut: err.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(err.message) });
   }
+  const length = resp.ok() ? resp.headers()['content-length'] : null;
+  await resp.dispose().catch(() => {});
+  return length && /^\d+$/.test(length) ? Number(length) : null;
 }
 
 /**
- * Process HTML string: find all <img src="…">, download each asset,
+ * A GET through the browser context's request API, body read. `data` is the
+ * body (null for an error status), `headers` the response headers.
+ */
+async function requestGet(assetUrl, context, timeoutMs, headers = {}) {
+  let resp;
+  try {
+    resp = await context.request.get(assetUrl, {
+      headers: { ...(context.headers || {}), ...headers },
+      failOnStatusCode: false,
+      maxRedirects: 20,
+      timeout: timeoutMs,
+    });
+  } catch (err) {
+    throw Object.assign(err, { timedOut: err.name === 'TimeoutError' || /Timeout \d+ms exceeded/.test(err.message) });
+  }
+  const data = resp.ok() ? await resp.body() : null;
+  await resp.dispose().catch(() => {});
+  return bufferedResponse(resp.status(), resp.headers(), data);
+}
+
+/** A response over a body already in memory. */
+function bufferedResponse(status, headers, data) {
+  const all = data ? { ...headers, 'content-length': String(data.length) } : headers;
+  return {
+    status,
+    headers: all,
+    data,
+    header: (name) => all[name] ?? null,
+    body: (async function* () {
+      if (data) yield data;
+    })(),
+    close: () => {},
+  };
+}
+
+/** The full size from a Content-Range header ("bytes 0-99/1234"), or null. */
+function rangeTotal(contentRange) {
+  const m = /\/(\d+)\s*$/.exec(contentRange || '');
+  return m ? Number(m[1]) : null;
+}
+
+/** A bodiless response that only reports its size, for fetchOnce to skip as too large. */
+function sizeOnly(size) {
+  return {
+    status: 200,
+    header: (name) => (name === 'content-length' ? String(size) : null),
+    body: (async function* () {})(),
+    close: () => {},
+  };
+}
+
+// Runs in the browser: no access to module scope. Bodies come back
+// base64-encoded; one over maxBytes is abandoned with `tooLarge` set.
+async function fetchInPage({ url, headers, maxBytes, timeoutMs }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, { headers, credentials: 'include', signal: controller.signal });
+    const result = {
+      status: resp.status,
+      contentType: resp.headers.get('content-type'),
+      contentLength: resp.headers.get('content-length'),
+      contentDisposition: resp.headers.get('content-disposition'),
+      retryAfter: resp.headers.get('retry-after'),
+      data: null,
+    };
+    if (!resp.ok) return result;
+    if (Number(result.contentLength) > maxBytes) {
+      controller.abort();
+      return { ...result, tooLarge: true };
+    }
+    // Read in chunks, so a body without Content-Length can't grow past maxBytes
+    const reader = resp.body.getReader();
+    const chunks = [];
+    let total = 0;
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      total += chunk.value.length;
+      if (total > maxBytes) {
+        await reader.cancel();
+        return { ...result, tooLarge: true };
+      }
+      chunks.push(chunk.value);
+    }
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    result.contentLength = String(total);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    result.data = btoa(binary);
+    return result;
+  } catch (err) {
+    if (controller.signal.aborted) return { timedOut: true };
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Process HTML string: find all <img src="…">, download each asset (concurrently,
+ * within the download queue's limits),
  * rewrite src attributes to local relative paths.
  *
  * @param {string} html
  * @param {string} assetsDir
  * @param {object} context
+ * @param {object} [opts]
+ * @param {object} [opts.store] - From createAssetStore(…).forPage(); saves there instead of assetsDir
  * @returns {Promise<{ html: string, downloaded: string[], failed: string[] }>}
  */
-export async function rewriteImages(html, assetsDir, context = {}) {
+export async function rewriteImages(html, assetsDir, context = {}, { store = null } = {}) {
   const imgRe = /<img([^>]*?)src="([^"]+)"([^>]*?)>/gi;
   const downloaded = [];
   const failed = [];
@@ -94,11 +611,16 @@ export async function rewriteImages(html, assetsDir, context = {}) {
     replacements.push({ full, pre, src, post });
   }
 
+  // Started together; the download queue (context.queue) decides how many run at once
+  const localPaths = await Promise.all(replacements.map(({ src }) =>
+    store ? store.save(src, context) : downloadAsset(src, assetsDir, context)));
+
   let result = html;
-  for (const { full, pre, src, post } of replacements) {
-    const localPath = await downloadAsset(src, assetsDir, context);
+  for (const [i, { full, pre, src, post }] of replacements.entries()) {
+    const localPath = localPaths[i];
     if (localPath) {
-      result = result.replace(full, `<img${pre}src="${localPath}"${post}>`);
+      // A replacer function, so `$&` or `$'` in alt text isn't read as a pattern
+      result = result.replace(full, () => `<img${pre}src="${localPath}"${post}>`);
       downloaded.push(src);
     } else {
       failed.push(src);
@@ -108,60 +630,382 @@ export async function rewriteImages(html, assetsDir, context = {}) {
   return { html: result, downloaded, failed };
 }
 
+// ─── Shared, content-addressed store ─────────────────────────────────────────
+
+/**
+ * The shared asset store for one export run, backed by asset-index.json:
+ *
+ *   { schemaVersion, updatedAt,
+ *     files: { "<path from output root>": { sha256, size, sources: [url…], pages: [pageKey…] } } }
+ *
+ * @param {string} outputRoot
+ */
+export function createAssetStore(outputRoot) {
+  const index = loadAssetIndex(outputRoot);
+
+  function save() {
+    const file = path.join(outputRoot, ASSET_INDEX_FILENAME);
+    const tmp = `${file}.tmp`;
+    index.updatedAt = new Date().toISOString();
+    writeFileSync(tmp, JSON.stringify(index, null, 2), 'utf8');
+    renameSync(tmp, file);
+  }
+
+  /** Add a file (relative to the output root) to the index; returns its entry. */
+  function track(rel, { sha256, size, source }) {
+    const entry = index.files[rel] || (index.files[rel] = { sha256, size, sources: [], pages: [] });
+    if (source && !source.startsWith('data:') && !entry.sources.includes(source)) entry.sources.push(source);
+    return entry;
+  }
+
+  /** A file already downloaded from `url` into `dir`, if it's still there. */
+  function downloadedFrom(url, dir) {
+    const rel = Object.keys(index.files).find((f) =>
+      index.files[f].sources.includes(url) && path.dirname(path.join(outputRoot, f)) === dir);
+    return rel && existsSync(path.join(outputRoot, rel)) ? rel : null;
+  }
+
+  /** Download or decode an asset into `dir` as <hash>.<ext>; returns its path from the output root. */
+  async function store(assetUrl, dir, context, opts) {
+    mkdirSync(dir, { recursive: true });
+
+    if (assetUrl.startsWith('data:')) {
+      const data = decodeDataUri(assetUrl);
+      if (!data) return null;
+      const sha256 = crypto.createHash('sha256').update(data.buf).digest('hex');
+      const file = path.join(dir, `${sha256.slice(0, 16)}.${mimeToExt(data.mime) || sniffExt(data.buf) || 'bin'}`);
+      if (!existsSync(file)) await writeAtomic(file, data.buf);
+      const rel = toPosix(path.relative(outputRoot, file));
+      track(rel, { sha256, size: data.buf.length });
+      return rel;
+    }
+
+    const known = downloadedFrom(assetUrl, dir);
+    if (known) return known;
+
+    const tmpPath = path.join(dir, `.${crypto.randomUUID()}.download`);
+    const ext = await fetchToTemp(assetUrl, tmpPath, context, { ...opts, urlExt: deriveFilename(assetUrl).ext });
+    if (!ext) return null;
+    const { sha256, size } = await hashFile(tmpPath);
+    const file = path.join(dir, `${sha256.slice(0, 16)}.${ext}`);
+    // Same content from another URL (or another tab): keep the copy already there
+    if (existsSync(file)) unlinkSync(tmpPath);
+    else renameSync(tmpPath, file);
+    const rel = toPosix(path.relative(outputRoot, file));
+    track(rel, { sha256, size, source: assetUrl });
+    return rel;
+  }
+
+  return {
+    /**
+     * Saving assets for one page.
+     * @param {string} fromFile  - The page's .md file (links are relative to it)
+     * @param {string} dir       - The store's _assets folder for this page (job.assetsDir)
+     * @returns {{ save: (url: string, context?: object, opts?: object) => Promise<string|null>, files: Set<string> }}
+     *   save() takes downloadAsset's options and returns the path to use in the page;
+     *   `files` collects what it saved
+     */
+    forPage(fromFile, dir) {
+      const files = new Set();
+      return {
+        files,
+        async save(assetUrl, context = {}, opts = {}) {
+          const key = `${dir}\n${assetUrl}`;
+          try {
+            if (!inflight.has(key)) {
+              inflight.set(key, store(assetUrl, dir, context, opts).finally(() => inflight.delete(key)));
+            }
+            const rel = await inflight.get(key);
+            if (!rel) return null;
+            files.add(rel);
+            const link = toPosix(path.relative(path.dirname(fromFile), path.join(outputRoot, rel)));
+            return link.startsWith('.') ? link : `./${link}`;
+          } catch (err) {
+            console.warn(`  [asset] Failed to save ${assetUrl}: ${err.message}`);
+            return null;
+          }
+        },
+      };
+    },
+
+    /**
+     * Replace the list of files a page references, and write the index.
+     * @param {string} key           - The page's key (see state.pageKey)
+     * @param {Iterable<string>} files - From forPage(…).files
+     */
+    recordPage(key, files) {
+      const used = new Set(files);
+      for (const [rel, entry] of Object.entries(index.files)) {
+        entry.pages = entry.pages.filter((k) => k !== key);
+        if (used.has(rel)) entry.pages.push(key);
+      }
+      save();
+    },
+
+    /**
+     * Forget pages that are no longer in the manifest, then delete every
+     * file no page references.
+     * @param {Set<string>} liveKeys - Keys of every page in the manifest
+     * @returns {string[]} Files deleted (relative to the output root)
+     */
+    prune(liveKeys) {
+      const removed = [];
+      for (const [rel, entry] of Object.entries(index.files)) {
+        entry.pages = entry.pages.filter((k) => liveKeys.has(k));
+        if (entry.pages.length) continue;
+        const file = path.join(outputRoot, rel);
+        if (existsSync(file)) unlinkSync(file);
+        delete index.files[rel];
+        removed.push(rel);
+      }
+      save();
+      return removed;
+    },
+  };
+}
+
+function loadAssetIndex(outputRoot) {
+  const file = path.join(outputRoot, ASSET_INDEX_FILENAME);
+  const empty = { schemaVersion: 1, updatedAt: null, files: {} };
+  if (!existsSync(file)) return empty;
+  try {
+    const index = JSON.parse(readFileSync(file, 'utf8'));
+    return index && index.files && typeof index.files === 'object' && !Array.isArray(index.files) ? index : empty;
+  } catch (err) {
+    console.warn(`⚠️  Could not read ${file} (${err.message}) — starting with an empty asset index.`);
+    return empty;
+  }
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 async function saveDataUri(dataUri, assetsDir) {
-  // data:[<mediatype>][;base64],<data>
-  const match = dataUri.match(/^data:([^;,]+)(?:;base64)?,(.+)$/s);
-  if (!match) return null;
+  const data = decodeDataUri(dataUri);
+  if (!data) return null;
 
-  const [, mimeType, data] = match;
-  const ext = mimeToExt(mimeType) || 'bin';
-  const hash = crypto.createHash('md5').update(data.slice(0, 64)).digest('hex').slice(0, 8);
+  const ext = mimeToExt(data.mime) || sniffExt(data.buf) || 'bin';
+  // The whole content: images sharing a header must not share a name
+  const hash = crypto.createHash('sha256').update(data.buf).digest('hex').slice(0, 12);
   const filename = `asset_${hash}.${ext}`;
   const localPath = path.join(assetsDir, filename);
 
   if (!existsSync(localPath)) {
-    const buf = Buffer.from(data, 'base64');
-    await writeFile(localPath, buf);
+    await writeAtomic(localPath, data.buf);
   }
 
   return `./_assets/${filename}`;
 }
 
-async function deriveFilename(url) {
+/** data:[<mediatype>][;base64],<data> → { mime, buf }, or null if malformed. */
+function decodeDataUri(dataUri) {
+  const match = dataUri.match(/^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s);
+  if (!match) return null;
+  const [, mime, params, data] = match;
+  const buf = /;base64$/i.test(params)
+    ? Buffer.from(data, 'base64')
+    : Buffer.from(decodeURIComponent(data), 'utf8');
+  return { mime: mime.trim().toLowerCase(), buf };
+}
+
+/** Write via a temp file, so a crash never leaves a truncated file under the final name. */
+async function writeAtomic(file, buf) {
+  const tmp = `${file}.${crypto.randomUUID()}.download`;
+  await writeFile(tmp, buf);
+  renameSync(tmp, file);
+}
+
+async function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  for await (const chunk of createReadStream(file)) {
+    hash.update(chunk);
+    size += chunk.length;
+  }
+  return { sha256: hash.digest('hex'), size };
+}
+
+/**
+ * File name stem for a remote asset: the URL's basename (or the file's real
+ * name, when known) plus a short hash of the URL (same basename, different
+ * URL ≠ same file). The extension is returned separately: a URL's only as a
+ * fallback for when the response doesn't tell, a real name's as-is.
+ * @returns {{ stem: string, ext: string }}
+ */
+export function deriveFilename(url, filename = null) {
   try {
     const u = new URL(url);
     // Use pathname basename; strip query/hash
-    let name = path.basename(u.pathname) || 'asset';
+    let name = filename || path.basename(u.pathname) || 'asset';
     // Remove special characters that are bad for filenames
     name = name.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 80);
-    if (!name.includes('.')) {
-      // Try to infer extension from content-type if possible
-      name += '.bin';
-    }
-    // Add a short hash to avoid collisions when basenames are the same
-    const hash = crypto.createHash('md5').update(url).digest('hex').slice(0, 6);
     const ext = path.extname(name);
-    const base = path.basename(name, ext);
-    return `${base}_${hash}${ext}`;
+    const base = path.basename(name, ext) || 'asset';
+    const hash = crypto.createHash('md5').update(url).digest('hex').slice(0, 6);
+    // Only extensions of asset types we know: "download.aspx" says nothing about the file
+    const known = Boolean(filename) || KNOWN_EXTS.has(ext.slice(1).toLowerCase());
+    return { stem: `${base}_${hash}`, ext: known ? ext.slice(1).toLowerCase() : '' };
   } catch {
     const hash = crypto.createHash('md5').update(url).digest('hex').slice(0, 10);
-    return `asset_${hash}.bin`;
+    return { stem: `asset_${hash}`, ext: '' };
   }
 }
 
-function mimeToExt(mime) {
-  const map = {
-    'image/jpeg': 'jpg',
-    'image/png': 'png',
-    'image/gif': 'gif',
-    'image/webp': 'webp',
-    'image/svg+xml': 'svg',
-    'image/bmp': 'bmp',
-    'image/tiff': 'tiff',
-    'application/pdf': 'pdf',
-    'text/plain': 'txt',
-  };
-  return map[mime] || null;
+/**
+ * A file already downloaded for `stem`, whatever its extension. A .bin file
+ * counts only if `binaries` says this version saved it (its type really is
+ * unknown); older ones predate type detection and are downloaded again to get
+ * a real extension (and left in place for pages still pointing at them).
+ * @param {{ has: (file: string) => boolean }} [binaries] - context.binaryAssets
+ */
+function findDownloaded(assetsDir, stem, binaries) {
+  return readdirSync(assetsDir).find((file) => {
+    if (!file.startsWith(`${stem}.`)) return false;
+    const ext = file.slice(stem.length + 1);
+    if (ext.includes('.') || ext === 'download') return false;
+    return ext !== 'bin' || Boolean(binaries?.has(path.join(assetsDir, file)));
+  }) || null;
+}
+
+/** First bytes of a file, for sniffing. */
+async function readHead(file, length = 4096) {
+  const handle = await open(file, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * File extension from a file's magic bytes, or null if unrecognised.
+ * @param {Buffer} head - The first bytes of the file
+ * @returns {string|null}
+ */
+export function sniffExt(head) {
+  const ascii = (start, end) => head.subarray(start, end).toString('latin1');
+  const starts = (...bytes) => bytes.every((b, i) => head[i] === b);
+
+  if (starts(0x89, 0x50, 0x4e, 0x47)) return 'png';
+  if (starts(0xff, 0xd8, 0xff)) return 'jpg';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(0, 4) === 'RIFF') {
+    const kind = ascii(8, 12);
+    if (kind === 'WEBP') return 'webp';
+    if (kind === 'WAVE') return 'wav';
+    if (kind === 'AVI ') return 'avi';
+  }
+  if (ascii(0, 2) === 'BM') return 'bmp';
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'tiff';
+  if (starts(0x00, 0x00, 0x01, 0x00)) return 'ico';
+  if (ascii(0, 5) === '%PDF-') return 'pdf';
+  if (ascii(4, 8) === 'ftyp') {
+    // ISO base media: the brand tells MP4 from QuickTime, HEIC, AVIF, M4A
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'mov';
+    if (brand === 'M4A ') return 'm4a';
+    if (/^(heic|heix|mif1)$/.test(brand)) return 'heic';
+    if (/^avi[fs]$/.test(brand)) return 'avif';
+    return 'mp4';
+  }
+  if (starts(0x1a, 0x45, 0xdf, 0xa3)) return ascii(0, 64).includes('webm') ? 'webm' : 'mkv';
+  if (ascii(0, 3) === 'ID3' || starts(0xff, 0xfb)) return 'mp3';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  if (starts(0x50, 0x4b, 0x03, 0x04)) {
+    // Office Open XML files are zips; their part names give the type away
+    const names = ascii(0, head.length);
+    if (names.includes('word/')) return 'docx';
+    if (names.includes('xl/')) return 'xlsx';
+    if (names.includes('ppt/')) return 'pptx';
+    return 'zip';
+  }
+  if (starts(0xd0, 0xcf, 0x11, 0xe0)) return 'doc'; // Legacy Office (also .xls/.ppt)
+
+  const text = head.toString('utf8').trimStart().slice(0, 512).toLowerCase();
+  if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) return 'svg';
+  return null;
+}
+
+const MIME_EXTS = {
+  // Images
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/heic': 'heic',
+  'image/avif': 'avif',
+  // Documents
+  'application/pdf': 'pdf',
+  'application/msword': 'doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/vnd.ms-visio.drawing': 'vsdx',
+  'application/rtf': 'rtf',
+  'application/zip': 'zip',
+  'application/json': 'json',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'text/markdown': 'md',
+  // Video
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov',
+  'video/x-msvideo': 'avi',
+  'video/x-matroska': 'mkv',
+  'video/mpeg': 'mpeg',
+  // Audio
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/ogg': 'ogg',
+};
+
+// Extensions a URL may be trusted with when the response doesn't say
+const KNOWN_EXTS = new Set([...Object.values(MIME_EXTS), 'jpeg', 'tif', 'mpg']);
+
+/**
+ * Whether `ext` is the extension of a file type we know ("pdf", not "2" from
+ * "version 1.2").
+ * @param {string} ext - Without the dot
+ * @returns {boolean}
+ */
+export function isKnownExtension(ext) {
+  return KNOWN_EXTS.has(String(ext).toLowerCase());
+}
+
+/**
+ * File extension for a MIME type or Content-Type header ("image/png; …"), or
+ * null if unknown (application/octet-stream included: sniff the bytes instead).
+ * @param {string|null} mime
+ * @returns {string|null}
+ */
+export function mimeToExt(mime) {
+  return MIME_EXTS[(mime || '').split(';')[0].trim().toLowerCase()] || null;
+}
+
+/** The file name a Content-Disposition header gives (filename* preferred), or null. */
+function dispositionFilename(header) {
+  const extended = /filename\*\s*=\s*[\w-]*'[^']*'([^;]+)/i.exec(header || '');
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch {
+      // Malformed: fall back to the plain parameter
+    }
+  }
+  const plain = /filename\s*=\s*(?:"([^"]*)"|([^;]+))/i.exec(header || '');
+  return plain ? (plain[1] ?? plain[2]).trim() || null : null;
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${Math.round(bytes / 1024)} KB`;
 }
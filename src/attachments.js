@@ -0,0 +1,223 @@
+/**
+ * attachments.js — Files linked from a page → local copies (--attachments).
+ *
+ * PDFs, Office documents and other files on a Loop page are links into the
+ * tenant's SharePoint/OneDrive, which expire or need a login. With
+ * --attachments, every <a href> pointing at a file in the tenant, and every
+ * file card, is downloaded with the browser session into the page's
+ * assets dir, and the link is pointed at the local copy. Files are recognised
+ * by URL shape:
+ *
+ *   …/Shared Documents/Q3 report.pdf              the file itself
+ *   …/:b:/s/team/EaBcD…?e=x1y2                    sharing link (+ download=1)
+ *   …/_layouts/15/Doc.aspx?sourcedoc={guid}&file=  Office viewer → download.aspx?UniqueId=
+ *
+ * Folders, site pages and Loop/Fluid files (/:fl:/) are left alone. Limits
+ * come from the config's `attachments` section: `maxSizeMB`, `allow`/`deny`
+ * extension lists (deny wins; an empty allow list allows everything) and
+ * `hosts`, the host patterns that count as the tenant. Files over the limit
+ * or with a refused extension stay links.
+ *
+ * File cards are written as a plain link to the file (local or not):
+ *
+ *   [Q3 report.pdf](./_assets/Q3_report_4e1f0a.pdf)
+ */
+
+import path from 'path';
+import { escapeAttribute } from './helpers.js';
+import { isKnownExtension } from './assets.js';
+import {
+  LOOP_FILE_CARD_SELECTORS,
+  LOOP_FILE_CARD_NAME_SELECTORS,
+  LOOP_FILE_CARD_URL_ATTRIBUTES,
+} from './selectors.js';
+
+// Sharing link type (/:b:/…) → extension, where the type pins it down
+const SHARING_LINK_TYPES = { w: 'docx', x: 'xlsx', p: 'pptx', b: 'pdf' };
+// Sharing link types that aren't downloadable files: folders, OneNote, Loop/Fluid
+const NOT_FILES = ['f', 'o', 'fl'];
+// Extensions of web pages rather than files
+const PAGE_EXTS = ['aspx', 'asp', 'htm', 'html', 'php'];
+// Office web viewer endpoints
+const VIEWER_PAGES = /^(doc|wopiframe2?|xlviewer|powerpoint|word|onenote)\.aspx$/i;
+
+/**
+ * Download the tenant files a page links to and point the links at them.
+ *
+ * @param {string} html
+ * @param {object} opts
+ * @param {(url: string, opts: object) => Promise<string|null>} opts.save
+ *   Downloads a file (assets.downloadAsset / a store's save, with its options) and
+ *   returns the path to use in the page, or null
+ * @param {string[]} [opts.hosts]      - Tenant host patterns ("*.sharepoint.com")
+ * @param {number} [opts.maxSizeMB]
+ * @param {string[]} [opts.allow]      - Only these extensions (empty: all)
+ * @param {string[]} [opts.deny]       - Never these extensions
+ * @returns {Promise<{ html: string, downloaded: string[], skipped: string[] }>}
+ */
+export async function rewriteAttachments(html, { save, hosts = ['*.sharepoint.com'], maxSizeMB = 0, allow = [], deny = [] }) {
+  const accept = (ext) => acceptsExtension(ext, { allow, deny });
+  const maxBytes = maxSizeMB > 0 ? maxSizeMB * 1024 * 1024 : 0;
+  const downloaded = [];
+  const skipped = [];
+  const saved = new Map();
+
+  async function localCopy(rawUrl, text = '') {
+    const url = rawUrl.replace(/&amp;/g, '&');
+    const file = fileDownload(url, hosts);
+    if (!file) return null;
+    if (!saved.has(url)) {
+      // The URL's file name, else the link text when it reads as one: "Q3 report.pdf",
+      // not "version 1.2". The download's Content-Disposition outranks both (assets.js)
+      const textName = !/[/\\]/.test(text) && isKnownExtension(path.extname(text).slice(1)) ? text : null;
+      const named = file.filename || textName;
+      const ext = named ? path.extname(named).slice(1).toLowerCase() : file.ext;
+      const local = ext && !accept(ext)
+        ? null
+        : await save(file.url, { filename: named || (file.ext ? `file.${file.ext}` : null), maxBytes, accept });
+      saved.set(url, local);
+      (local ? downloaded : skipped).push(url);
+    }
+    return saved.get(url);
+  }
+
+  // Anchors
+  const anchorRe = /<a(\s[^>]*?)?\shref="([^"]+)"([^>]*)>([\s\S]*?)<\/a>/gi;
+  let result = html;
+  for (const [full, pre = '', href, post, inner] of [...html.matchAll(anchorRe)]) {
+    const local = await localCopy(href, inner.replace(/<[^>]*>/g, '').trim());
+    // Replacer functions throughout: `$&`, `$'`… in link text or file names stay literal
+    if (local) result = result.replace(full, () => `<a${pre} href="${escapeAttribute(local)}"${post}>${inner}</a>`);
+  }
+
+  // File cards that carry their URL in an attribute
+  const attrRe = new RegExp(`\\s(${LOOP_FILE_CARD_URL_ATTRIBUTES.join('|')})="([^"]+)"`, 'gi');
+  for (const [full, name, url] of [...result.matchAll(attrRe)]) {
+    const local = await localCopy(url);
+    if (local) result = result.replace(full, () => ` ${name}="${escapeAttribute(local)}"`);
+  }
+
+  return { html: result, downloaded, skipped };
+}
+
+/**
+ * Add the file card rule to a Turndown service.
+ * @param {import('turndown')} td
+ */
+export function addAttachmentRules(td) {
+  td.addRule('loop-file-card', {
+    filter: (node) => isFileCard(node) && !closestFileCard(node.parentNode),
+    replacement: (content, node) => {
+      const href = cardUrl(node);
+      if (!href) return content;
+      const name = cardName(node) || decodeName(href);
+      const link = `[${name.replace(/([[\]])/g, '\\$1')}](${href.replace(/[ ()<>]/g, (c) => encodeURIComponent(c))})`;
+      // Cards are usually blocks; one inside a line of text stays inline
+      return node.nodeName === 'A' || node.nodeName === 'SPAN' ? link : `\n\n${link}\n\n`;
+    },
+  });
+}
+
+/**
+ * Where to download a tenant file from, or null if the URL isn't one.
+ * @param {string} url
+ * @param {string[]} hosts - Host patterns; "*.example.com" matches any subdomain
+ * @returns {{ url: string, filename: string|null, ext: string|null }|null}
+ */
+export function fileDownload(url, hosts) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(u.protocol) || !hosts.some((pattern) => matchesHost(u.hostname, pattern))) return null;
+
+  // Sharing links: /:b:/s/site/<token>
+  const sharing = u.pathname.match(/^\/:([a-z]+):\//i);
+  if (sharing) {
+    const type = sharing[1].toLowerCase();
+    if (NOT_FILES.includes(type)) return null;
+    u.searchParams.set('download', '1');
+    return { url: u.href, filename: null, ext: SHARING_LINK_TYPES[type] || null };
+  }
+
+  // Office web viewer: download the document it shows instead
+  const layouts = u.pathname.match(/^(.*?)\/_layouts\/15\/([^/]+)$/i);
+  if (layouts) {
+    const page = layouts[2];
+    if (/^download\.aspx$/i.test(page)) return { url: u.href, filename: null, ext: null };
+    const id = u.searchParams.get('sourcedoc')?.replace(/[{}]/g, '');
+    if (!VIEWER_PAGES.test(page) || !id) return null;
+    const filename = u.searchParams.get('file');
+    return {
+      url: `${u.origin}${layouts[1]}/_layouts/15/download.aspx?UniqueId=${encodeURIComponent(id)}`,
+      filename,
+      ext: filename ? path.extname(filename).slice(1).toLowerCase() || null : null,
+    };
+  }
+  if (u.pathname.includes('/_layouts/')) return null;
+
+  // A file in a document library: its path ends in a file name
+  const ext = path.extname(u.pathname).slice(1).toLowerCase();
+  if (!ext || PAGE_EXTS.includes(ext)) return null;
+  return { url: u.href, filename: decodeName(u.pathname), ext };
+}
+
+/**
+ * Whether files with this extension may be downloaded.
+ * @param {string} ext
+ * @param {{ allow?: string[], deny?: string[] }} lists
+ * @returns {boolean}
+ */
+export function acceptsExtension(ext, { allow = [], deny = [] }) {
+  const norm = (e) => String(e).replace(/^\./, '').toLowerCase();
+  const e = norm(ext);
+  if (deny.map(norm).includes(e)) return false;
+  return !allow.length || allow.map(norm).includes(e);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function matchesHost(hostname, pattern) {
+  const host = hostname.toLowerCase();
+  const p = pattern.toLowerCase();
+  return p.startsWith('*.') ? host.endsWith(p.slice(1)) : host === p;
+}
+
+function isFileCard(node) {
+  return node.nodeType === 1 && LOOP_FILE_CARD_SELECTORS.some((sel) => node.matches(sel));
+}
+
+function closestFileCard(node) {
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    if (isFileCard(el)) return el;
+  }
+  return null;
+}
+
+/** The card's own URL attribute, else its link, else a URL attribute inside it. */
+function cardUrl(node) {
+  const attr = (el) => LOOP_FILE_CARD_URL_ATTRIBUTES.map((name) => el.getAttribute(name)).find(Boolean);
+  const anchor = node.nodeName === 'A' ? node : node.querySelector('a[href]');
+  const inner = node.querySelector(LOOP_FILE_CARD_URL_ATTRIBUTES.map((name) => `[${name}]`).join(', '));
+  return attr(node) || anchor?.getAttribute('href') || (inner && attr(inner)) || null;
+}
+
+function cardName(node) {
+  for (const sel of LOOP_FILE_CARD_NAME_SELECTORS) {
+    const text = node.querySelector(sel)?.textContent.replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  const anchor = node.nodeName === 'A' ? node : node.querySelector('a[href]');
+  return (anchor || node).textContent.replace(/\s+/g, ' ').trim();
+}
+
+function decodeName(url) {
+  const name = path.posix.basename(url.split(/[?#]/)[0]);
+  try {
+    return decodeURIComponent(name);
+  } catch {
+    return name;
+  }
+}
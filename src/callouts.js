@@ -0,0 +1,172 @@
+/**
+ * callouts.js — Turndown rules for Loop callouts, quote blocks and highlights.
+ *
+ * A Loop callout is a coloured block with an emoji/icon. Its type (note, tip,
+ * important, warning, caution) is read from the icon first, then the colour,
+ * and written in the layout's callout syntax:
+ *
+ *   obsidian    > [!warning]          commonmark  > [!WARNING]   (GitHub alert)
+ *               > Text                            > Text
+ *
+ *   mkdocs      !!! warning           docusaurus  :::warning
+ *                   Text                          Text
+ *                                                 :::
+ *
+ * Highlighted text becomes ==text== where the layout renders it (Obsidian)
+ * and <mark>text</mark> elsewhere.
+ */
+
+import {
+  LOOP_CALLOUT_SELECTORS,
+  LOOP_CALLOUT_ICON_SELECTORS,
+  LOOP_QUOTE_SELECTORS,
+  LOOP_HIGHLIGHT_SELECTORS,
+} from './selectors.js';
+import { matchesAny, closestAny } from './helpers.js';
+
+const CALLOUT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+
+// Icon → callout type. Checked before colour: the icon is what the author picked.
+const ICON_TYPES = [
+  [/💡|✨|✅|👍/u, 'tip'],
+  [/⚠️?|🚧|🟡/u, 'warning'],
+  [/🚫|⛔|❌|🛑|🔥|🔴/u, 'caution'],
+  [/❗|‼️?|⭐|📌|📣/u, 'important'],
+  [/ℹ️?|📝|💬|🔵|❓/u, 'note'],
+];
+
+// Colour name (from class/data attribute) → callout type
+const COLOR_TYPES = {
+  red: 'caution',
+  orange: 'warning',
+  yellow: 'warning',
+  green: 'tip',
+  teal: 'tip',
+  blue: 'note',
+  gray: 'note',
+  grey: 'note',
+  purple: 'important',
+  pink: 'important',
+};
+
+// Docusaurus only knows note, tip, info, warning, danger
+const DOCUSAURUS_TYPES = { note: 'note', tip: 'tip', important: 'info', warning: 'warning', caution: 'danger' };
+
+/**
+ * Add the callout, quote and highlight rules to a Turndown service.
+ * @param {import('turndown')} td
+ * @param {object} [opts]
+ * @param {'obsidian'|'github'|'admonition'|'docusaurus'} [opts.calloutStyle]
+ * @param {'equals'|'html'} [opts.highlightStyle]
+ */
+export function addCalloutRules(td, { calloutStyle = 'obsidian', highlightStyle = 'equals' } = {}) {
+  td.addRule('loop-callout', {
+    filter: (node) => matchesAny(node, LOOP_CALLOUT_SELECTORS) && !closestAny(node.parentNode, LOOP_CALLOUT_SELECTORS),
+    replacement: (content, node) => {
+      const type = calloutType(node);
+      // The icon element is dropped by the rule below; a typed leading emoji is dropped here
+      const body = content.trim().replace(/^\p{Extended_Pictographic}\uFE0F?\s*/u, '');
+      return `\n\n${formatCallout(type, body, calloutStyle)}\n\n`;
+    },
+  });
+
+  td.addRule('loop-callout-icon', {
+    filter: (node) => matchesAny(node, LOOP_CALLOUT_ICON_SELECTORS) && closestAny(node.parentNode, LOOP_CALLOUT_SELECTORS),
+    replacement: () => '',
+  });
+
+  td.addRule('loop-quote', {
+    filter: (node) => matchesAny(node, LOOP_QUOTE_SELECTORS),
+    replacement: (content) => `\n\n${quoteLines(content.trim())}\n\n`,
+  });
+
+  td.addRule('loop-highlight', {
+    filter: (node) => node.nodeName === 'MARK' || isHighlight(node),
+    replacement: (content) => {
+      const text = content.trim();
+      if (!text) return content;
+      return highlightStyle === 'equals' ? `==${text}==` : `<mark>${text}</mark>`;
+    },
+  });
+}
+
+/**
+ * A callout in the given syntax.
+ * @param {string} type   - note | tip | important | warning | caution
+ * @param {string} body   - Markdown
+ * @param {string} style  - obsidian | github | admonition | docusaurus
+ * @returns {string}
+ */
+export function formatCallout(type, body, style) {
+  switch (style) {
+    case 'github':
+      return quoteLines(`[!${type.toUpperCase()}]\n${body}`);
+    case 'admonition':
+      return `!!! ${type}\n\n${body.split('\n').map((l) => (l ? `    ${l}` : '')).join('\n')}`;
+    case 'docusaurus':
+      return `:::${DOCUSAURUS_TYPES[type] || 'note'}\n\n${body}\n\n:::`;
+    case 'obsidian':
+    default:
+      return quoteLines(`[!${type}]\n${body}`);
+  }
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+/** Callout type from the icon, else the colour, else "note". */
+function calloutType(node) {
+  const iconEl = queryFirst(node, LOOP_CALLOUT_ICON_SELECTORS);
+  const icon = (iconEl?.getAttribute('aria-label') || iconEl?.textContent || leadingEmoji(node) || '').trim();
+  for (const [re, type] of ICON_TYPES) {
+    if (re.test(icon)) return type;
+  }
+
+  const explicit = (node.getAttribute('data-callout') || node.getAttribute('data-callout-type') || '').toLowerCase();
+  if (CALLOUT_TYPES.includes(explicit)) return explicit;
+
+  return COLOR_TYPES[calloutColor(node)] || 'note';
+}
+
+/** Colour name from data attributes or class names ("callout-yellow", "calloutYellowBg"). */
+function calloutColor(node) {
+  const words = [
+    node.getAttribute('data-color'),
+    node.getAttribute('data-background'),
+    node.getAttribute('class'),
+  ]
+    .filter(Boolean)
+    .join(' ')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z]+/);
+  return Object.keys(COLOR_TYPES).find((color) => words.includes(color)) || null;
+}
+
+/** An emoji at the very start of the callout's text, when there's no icon element. */
+function leadingEmoji(node) {
+  const match = (node.textContent || '').trim().match(/^(\p{Extended_Pictographic}\uFE0F?)/u);
+  return match ? match[1] : '';
+}
+
+/** Inline element marked as highlighted, or with a non-transparent background colour. */
+function isHighlight(node) {
+  if (!['SPAN', 'EM', 'STRONG', 'B', 'I', 'U'].includes(node.nodeName)) return false;
+  if (matchesAny(node, LOOP_HIGHLIGHT_SELECTORS)) return true;
+  const style = (node.getAttribute('style') || '').toLowerCase();
+  const bg = style.match(/background(?:-color)?\s*:\s*([^;]+)/);
+  return Boolean(bg && !/transparent|inherit|initial|none|white|#fff\b|#ffffff|rgba?\(\s*255\s*,\s*255\s*,\s*255/.test(bg[1]));
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function quoteLines(text) {
+  return text.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n');
+}
+
+function queryFirst(root, selectors) {
+  for (const sel of selectors) {
+    const el = root.querySelector(sel);
+    if (el) return el;
+  }
+  return null;
+}
@@ -7,7 +7,7 @@
  *   node src/cli.js export    [options]
  */
 
-import { Command } from 'commander';
+import { Command, Option, InvalidArgumentError } from 'commander';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
@@ -81,11 +81,43 @@ program
     '--from-manifest <file>',
     'Path to a specific manifest.json (default: <output>/manifest.json)'
   )
+  .option('--resume', 'Skip pages already recorded in <output>/export-state.json (continue after a crash)', false)
+  .option('--changed-only', 'Re-check every page but only rewrite those whose content changed', false)
+  .option('-c, --concurrency <n>', 'Number of browser tabs exporting pages in parallel', parsePositiveInt, 1)
+  .option('--retries <n>', 'Extra attempts per page after a retryable failure', parseNonNegativeInt, 2)
+  .option('--retry-delay <ms>', 'Base delay before a retry; doubles on each attempt', parseNonNegativeInt, 3000)
+  .option('--retry-failed', 'Only re-run pages that failed in the previous audit-report.json', false)
+  .addOption(
+    new Option('--layout <name>', 'Output layout profile')
+      .choices(['obsidian', 'commonmark', 'mkdocs', 'docusaurus'])
+      .default('obsidian')
+  )
+  .addOption(
+    new Option('--link-style <style>', 'How links between exported pages are written (default: per layout)')
+      .choices(['wikilink', 'markdown'])
+  )
+  .option('--folder-note <file>', 'Filename for a parent page\'s own content (default: per layout, e.g. index.md)')
+  .option('--dry-run', 'Print the planned file layout without opening a browser', false)
+  .option('--plan-file <file>', 'With --dry-run, also write the planned layout as JSON to this file')
+  .option('--config <file>', 'Config file (default: ./loop-export.config.json if present)')
+  .option('--tables-csv', 'Also write every table as a CSV file next to its page', false)
+  .option('--prune-assets', 'Delete shared-store assets that no exported page references any more', false)
+  .option('--attachments', 'Download PDFs, Office files and other files linked from pages (limits: config attachments)', false)
+  .addOption(
+    new Option('--include-comments [style]', 'Export comment threads as footnotes or a <page>.comments.md sidecar, and reactions as frontmatter')
+      .choices(['footnotes', 'sidecar'])
+  )
   .action(async (opts) => {
     console.log(chalk.cyan.bold('\n🚀 Loop Export — Export Pass\n'));
 
     const { launchBrowser, closeBrowser } = await import('./browser.js');
-    const { runExport } = await import('./exporter.js');
+    const { runExport, runDryRun } = await import('./exporter.js');
+    const { resolveLayout } = await import('./layouts.js');
+    const { loadConfig } = await import('./config.js');
+    const { resolveFrontmatterKeys } = await import('./markdown.js');
+    const { DATE_STYLES } = await import('./dates.js');
+    const { ASSET_STORES } = await import('./assets.js');
+    const { loadPlugins } = await import('./plugins.js');
     const { loadManifest, validateManifest, printManifestSummary } = await import('./manifest.js');
 
     // Load manifest
@@ -104,6 +136,52 @@ program
     validateManifest(manifest);
     printManifestSummary(manifest);
 
+    const layout = resolveLayout(opts.layout, {
+      linkStyle: opts.linkStyle,
+      folderNote: opts.folderNote,
+    });
+
+    let config, plugins;
+    try {
+      config = loadConfig(opts.config || null);
+      // Catch unknown frontmatter fields, date styles, asset settings and broken plugins before a browser is opened
+      resolveFrontmatterKeys(layout.frontmatterKeys, config.frontmatter.fields);
+      if (!DATE_STYLES.includes(config.dates.style)) {
+        throw new Error(`Unknown dates.style "${config.dates.style}". Expected one of: ${DATE_STYLES.join(', ')}`);
+      }
+      if (!ASSET_STORES.includes(config.assets.store)) {
+        throw new Error(`Unknown assets.store "${config.assets.store}". Expected one of: ${ASSET_STORES.join(', ')}`);
+      }
+      for (const [key, min, integer] of [['concurrency', 1, true], ['retries', 0, true], ['timeoutSeconds', 1], ['maxSizeMB', 0]]) {
+        const value = config.assets[key];
+        if (typeof value !== 'number' || value < min || (integer && !Number.isInteger(value))) {
+          throw new Error(`Config assets.${key} must be ${integer ? 'an integer' : 'a number'} ≥ ${min} (got ${JSON.stringify(value)})`);
+        }
+      }
+      plugins = await loadPlugins(config.plugins, config.configDir);
+      if (plugins.length) console.log(`🔌 Plugins: ${plugins.map((p) => p.name).join(', ')}`);
+    } catch (err) {
+      console.error(chalk.red('❌ ' + err.message));
+      process.exit(1);
+    }
+
+    if (opts.dryRun) {
+      try {
+        runDryRun(manifest, opts.output, {
+          workspaceFilter: opts.workspace || null,
+          pageFilter: opts.page || null,
+          retryFailed: opts.retryFailed,
+          planFile: opts.planFile || null,
+          layout,
+          config,
+        });
+      } catch (err) {
+        console.error(chalk.red.bold('\n❌ Dry run failed:'), err.message);
+        process.exit(1);
+      }
+      return;
+    }
+
     let browser, context, page;
     try {
       ({ browser, context, page } = await launchBrowser({
@@ -115,6 +193,20 @@ program
         verbose: opts.verbose,
         workspaceFilter: opts.workspace || null,
         pageFilter: opts.page || null,
+        resume: opts.resume,
+        changedOnly: opts.changedOnly,
+        concurrency: opts.concurrency,
+        retries: opts.retries,
+        retryDelay: opts.retryDelay,
+        retryFailed: opts.retryFailed,
+        layout,
+        config,
+        tablesCsv: opts.tablesCsv,
+        pruneAssets: opts.pruneAssets,
+        attachments: opts.attachments,
+        // A bare --include-comments means footnotes
+        includeComments: opts.includeComments === true ? 'footnotes' : opts.includeComments || null,
+        plugins,
       });
 
       const success = audit.totalFailed === 0;
@@ -180,6 +272,24 @@ program
     }
   });
 
+// ─── Option parsers ──────────────────────────────────────────────────────────
+
+function parsePositiveInt(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 1) {
+    throw new InvalidArgumentError('Expected a positive integer.');
+  }
+  return n;
+}
+
+function parseNonNegativeInt(value) {
+  const n = parseInt(value, 10);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new InvalidArgumentError('Expected a non-negative integer.');
+  }
+  return n;
+}
+
 program.parseAsync(process.argv).catch((err) => {
   console.error(chalk.red('Fatal:'), err.message);
   process.exit(1);
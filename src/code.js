@@ -0,0 +1,241 @@
+/**
+ * code.js — Code blocks and inline code.
+ *
+ * Loop's code component is a stack of styled divs/spans (one per line) with a
+ * language picker on top, not <pre><code>. Turndown collapses whitespace in
+ * everything that isn't <pre>, so by the time a rule sees those divs the
+ * indentation is gone. normalizeCodeBlocks() therefore rewrites each code
+ * component in the HTML string first, like links.js does for anchors:
+ *
+ *   <div data-component-type="codeBlock" …>…</div>
+ *     → <pre data-language="python"><code>…exact text…</code></pre>
+ *
+ * and the Turndown rules below write every <pre> as a fenced block with the
+ * language as its info string, and Loop's inline code spans as `code`.
+ */
+
+import { LOOP_INLINE_CODE_SELECTORS } from './selectors.js';
+import { decodeEntities } from './helpers.js';
+
+// Opening tags of Loop code components. These are regexes, not selectors:
+// they run on the HTML string before Turndown parses it.
+const CODE_BLOCK_TAG = new RegExp(
+  '<(div|section|pre)\\b[^>]*?(?:' + [
+    'data-component-type="code(?:Block)?"',
+    'data-block-type="code(?:Block)?"',
+    'class="[^"]*(?:CodeBlock|codeBlock|code-block)[^"]*"',
+  ].join('|') + ')[^>]*>',
+  'gi'
+);
+
+// Chrome inside a code component: the language picker, copy buttons, toolbars
+const LANGUAGE_LABEL_TAG = /<(\w+)\b[^>]*?class="[^"]*(?:[Ll]anguage(?:Label|Picker|Selector)|codeLanguage)[^"]*"[^>]*>/gi;
+const CHROME_TAG = /<(button|\w+(?=[^>]*role="(?:toolbar|menu)"))\b[^>]*>/gi;
+
+// Language picker labels → fence info strings, where lowercasing isn't enough
+const LANGUAGE_ALIASES = {
+  'plain text': '',
+  plaintext: '',
+  text: '',
+  'c#': 'csharp',
+  'c++': 'cpp',
+  'f#': 'fsharp',
+  'objective-c': 'objectivec',
+  'visual basic': 'vbnet',
+  shell: 'bash',
+};
+
+/**
+ * Rewrite Loop code components as <pre data-language><code> with their
+ * exact text (tabs, indentation and blank lines kept).
+ * @param {string} html
+ * @returns {string}
+ */
+export function normalizeCodeBlocks(html) {
+  if (!html) return html || '';
+  let result = '';
+  let cursor = 0;
+  for (const el of findElements(html, CODE_BLOCK_TAG)) {
+    result += html.slice(cursor, el.start);
+    result += toPre(el);
+    cursor = el.end;
+  }
+  return result + html.slice(cursor);
+}
+
+/**
+ * Add the code block / inline code rules to a Turndown service.
+ * @param {import('turndown')} td
+ */
+export function addCodeRules(td) {
+  td.addRule('loop-code-block', {
+    filter: (node) => node.nodeName === 'PRE',
+    replacement: (content, node) => {
+      const code = (node.textContent || '').replace(/\n$/, '');
+      if (!code.trim()) return '';
+      const fence = fenceFor(code, 3);
+      return `\n\n${fence}${codeLanguage(node)}\n${code}\n${fence}\n\n`;
+    },
+  });
+
+  td.addRule('loop-inline-code', {
+    filter: (node) => node.nodeName !== 'PRE' && LOOP_INLINE_CODE_SELECTORS.some((sel) => node.matches(sel)),
+    replacement: (content, node) => codeSpan(node.textContent || ''),
+  });
+}
+
+/**
+ * `text` as an inline code span, with a fence longer than any backtick run
+ * inside it.
+ * @param {string} text
+ * @returns {string}
+ */
+export function codeSpan(text) {
+  if (!text) return '';
+  const fence = fenceFor(text, 1);
+  const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+  return `${fence}${pad}${text}${pad}${fence}`;
+}
+
+/**
+ * Fence info string for a language picker label ("C#" → "csharp").
+ * @param {string|null} label
+ * @returns {string}
+ */
+export function normalizeLanguage(label) {
+  const key = (label || '').trim().toLowerCase();
+  if (key in LANGUAGE_ALIASES) return LANGUAGE_ALIASES[key];
+  return key.replace(/\s+/g, '-').replace(/[^\w#+.-]/g, '');
+}
+
+// ─── Code component → <pre> ───────────────────────────────────────────────────
+
+function toPre(el) {
+  const label = findElements(el.inner, LANGUAGE_LABEL_TAG)[0];
+  const language = normalizeLanguage(
+    attr(el.openTag, 'data-language') ||
+    attr(el.inner.match(/<[^>]*\bdata-language="[^"]*"/)?.[0] || '', 'data-language') ||
+    el.inner.match(/class="[^"]*\blanguage-([\w#+-]+)/)?.[1] ||
+    (label ? stripTags(label.inner).trim() : '')
+  );
+
+  const body = removeElements(removeElements(el.inner, LANGUAGE_LABEL_TAG), CHROME_TAG);
+  const code = extractLines(body).join('\n');
+  return `<pre data-language="${escapeHtml(language)}"><code>${escapeHtml(code)}</code></pre>`;
+}
+
+/**
+ * Split a code component's inner HTML into lines: every <br> and every block
+ * element ends a line; an empty block (or one holding only a <br>) is a
+ * blank line. Text is kept byte for byte apart from entity decoding.
+ */
+function extractLines(html) {
+  const lines = [];
+  const blocks = []; // open block elements: has a line been emitted inside it yet?
+  let current = null;
+
+  const endLine = () => {
+    lines.push(current ?? '');
+    current = null;
+    for (const block of blocks) block.emitted = true;
+  };
+
+  for (const token of html.split(/(<[^>]+>)/)) {
+    if (!token) continue;
+    const tag = token.match(/^<(\/?)(\w+)/);
+    if (!tag) {
+      current = (current ?? '') + decodeEntities(token);
+      continue;
+    }
+    const [, closing, name] = tag;
+    if (/^br$/i.test(name)) {
+      endLine();
+    } else if (/^(div|p|li|pre|section|tr)$/i.test(name)) {
+      if (!closing) {
+        if (current !== null) endLine();
+        blocks.push({ emitted: false });
+      } else {
+        const block = blocks.pop();
+        if (current !== null || (block && !block.emitted)) endLine();
+      }
+    }
+  }
+  if (current !== null) endLine();
+
+  // Editors pad empty lines with zero-width spaces; the first/last lines are often chrome padding
+  const cleaned = lines.map((line) => line.replace(/[\u200b\ufeff]/g, ''));
+  while (cleaned.length && !cleaned[0].trim()) cleaned.shift();
+  while (cleaned.length && !cleaned[cleaned.length - 1].trim()) cleaned.pop();
+  return cleaned;
+}
+
+// ─── HTML string helpers ──────────────────────────────────────────────────────
+
+/**
+ * Outermost elements whose opening tag matches `openTagRe` (global, with the
+ * tag name as group 1), found by counting nested tags of the same name.
+ * @returns {{ start: number, end: number, openTag: string, inner: string }[]}
+ */
+function findElements(html, openTagRe) {
+  const found = [];
+  const re = new RegExp(openTagRe.source, openTagRe.flags);
+  let match;
+  while ((match = re.exec(html))) {
+    const name = match[1].toLowerCase();
+    const openEnd = match.index + match[0].length;
+    const tagRe = new RegExp(`<(/?)${name}\\b[^>]*?(/?)>`, 'gi');
+    tagRe.lastIndex = openEnd;
+    let depth = 1;
+    let tag;
+    while (depth && (tag = tagRe.exec(html))) {
+      if (tag[1]) depth--;
+      else if (!tag[2]) depth++;
+    }
+    const closeStart = tag ? tag.index : html.length;
+    const end = tag ? tag.index + tag[0].length : html.length;
+    found.push({ start: match.index, end, openTag: match[0], inner: html.slice(openEnd, closeStart) });
+    re.lastIndex = end; // outermost only
+  }
+  return found;
+}
+
+function removeElements(html, openTagRe) {
+  let result = '';
+  let cursor = 0;
+  for (const el of findElements(html, openTagRe)) {
+    result += html.slice(cursor, el.start);
+    cursor = el.end;
+  }
+  return result + html.slice(cursor);
+}
+
+/** Language from data-language, or a `language-x` / `lang-x` class on the <pre> or its <code>. */
+function codeLanguage(pre) {
+  const code = pre.firstChild?.nodeName === 'CODE' ? pre.firstChild : null;
+  for (const el of [pre, code]) {
+    if (!el) continue;
+    const lang = el.getAttribute('data-language') ||
+      (el.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang)-(\S+)/)?.[1];
+    if (lang) return normalizeLanguage(lang);
+  }
+  return '';
+}
+
+/** A backtick fence longer than any backtick run in `text`, and at least `min` long. */
+function fenceFor(text, min) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+  return '`'.repeat(Math.max(min, longest + 1));
+}
+
+function attr(tag, name) {
+  const m = tag.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return m ? decodeEntities(m[1]) : null;
+}
+
+function stripTags(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ''));
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,227 @@
+/**
+ * comments.js — Page comments, threads and reactions (--include-comments).
+ *
+ * Comments aren't part of the page content element, so they are read from
+ * the live page: every thread in the comments pane (opened if needed) with
+ * its anchor text and each comment's author, timestamp and text, plus the
+ * page's reaction counts, which go into frontmatter (`reactions`).
+ *
+ * Threads are then written either:
+ *   - footnotes: a [^comment-N] reference after the commented text (the
+ *     highlight Loop leaves in the content, else the first occurrence of the
+ *     anchor text) and the thread as the footnote. Threads whose anchor
+ *     can't be found are listed under "## Comments" at the end.
+ *   - sidecar: all threads in <page>.comments.md next to the page.
+ */
+
+import {
+  COMMENTS_PANE_TOGGLE_SELECTORS,
+  COMMENT_THREAD_SELECTORS,
+  COMMENT_ITEM_SELECTORS,
+  COMMENT_AUTHOR_SELECTORS,
+  COMMENT_BODY_SELECTORS,
+  COMMENT_ANCHOR_TEXT_SELECTORS,
+  COMMENT_THREAD_ID_ATTRIBUTES,
+  LOOP_COMMENT_ANCHOR_SELECTORS,
+  PAGE_REACTION_SELECTORS,
+  findFirst,
+} from './selectors.js';
+import { toFrontmatter } from './yaml.js';
+import { currentConversion } from './conversion.js';
+
+// ─── Reading the live page ────────────────────────────────────────────────────
+
+/**
+ * Comment threads and reaction counts on the current page. Best effort:
+ * anything not found is simply empty.
+ * @param {import('playwright').Page} page
+ * @returns {Promise<{ threads: object[], reactions: Record<string, number> }>}
+ *   threads: { id, anchorText, resolved, comments: { author, timestamp, text }[] }
+ */
+export async function extractDiscussion(page) {
+  await openCommentsPane(page);
+
+  const threads = await page
+    .evaluate(readThreads, {
+      threads: COMMENT_THREAD_SELECTORS,
+      items: COMMENT_ITEM_SELECTORS,
+      authors: COMMENT_AUTHOR_SELECTORS,
+      bodies: COMMENT_BODY_SELECTORS,
+      anchors: COMMENT_ANCHOR_TEXT_SELECTORS,
+      idAttributes: COMMENT_THREAD_ID_ATTRIBUTES,
+    })
+    .catch(() => []);
+
+  const reactions = await page
+    .evaluate(readReactions, { reactions: PAGE_REACTION_SELECTORS, threads: COMMENT_THREAD_SELECTORS })
+    .catch(() => ({}));
+
+  return {
+    threads: threads
+      .map((thread) => ({ ...thread, comments: thread.comments.map(normalizeComment) }))
+      .filter((thread) => thread.comments.length),
+    reactions,
+  };
+}
+
+async function openCommentsPane(page) {
+  const open = await page.$(COMMENT_THREAD_SELECTORS.join(', ')).catch(() => null);
+  if (open) return;
+  const toggle = await findFirst(page, COMMENTS_PANE_TOGGLE_SELECTORS, 1000);
+  if (!toggle) return;
+  await toggle.click().catch(() => {});
+  await page.waitForSelector(COMMENT_THREAD_SELECTORS.join(', '), { timeout: 3000 }).catch(() => {});
+}
+
+// Runs in the browser: no access to module scope
+function readThreads({ threads, items, authors, bodies, anchors, idAttributes }) {
+  const outermost = (els) => els.filter((el) => !els.some((other) => other !== el && other.contains(el)));
+  const all = (root, selectors) => {
+    for (const sel of selectors) {
+      const els = Array.from(root.querySelectorAll(sel));
+      if (els.length) return outermost(els);
+    }
+    return [];
+  };
+  const first = (root, selectors) => all(root, selectors)[0] || null;
+  const text = (el) => (el ? (el.innerText || el.textContent || '').trim() : '');
+
+  return all(document, threads).map((thread) => {
+    const id = idAttributes
+      .map((name) => thread.getAttribute(name) || thread.querySelector(`[${name}]`)?.getAttribute(name))
+      .find(Boolean) || null;
+    const comments = all(thread, items).map((item) => {
+      const time = item.querySelector('time');
+      return {
+        author: text(first(item, authors)),
+        timestamp: time?.getAttribute('datetime') || text(time) || null,
+        text: text(first(item, bodies)),
+      };
+    }).filter((comment) => comment.text);
+    const label = `${thread.getAttribute('aria-label') || ''} ${thread.className || ''}`;
+    return { id, anchorText: text(first(thread, anchors)), resolved: /resolved/i.test(label), comments };
+  });
+}
+
+// Runs in the browser: no access to module scope
+function readReactions({ reactions, threads }) {
+  const inThread = threads.join(', ');
+  for (const sel of reactions) {
+    const counts = {};
+    for (const el of Array.from(document.querySelectorAll(sel))) {
+      if (el.closest(inThread)) continue; // reactions on comments, not the page
+      const label = `${el.getAttribute('aria-label') || ''} ${el.textContent || ''}`.trim();
+      const count = Number(label.match(/\d+/)?.[0] || 0);
+      const emoji = label.match(/\p{Extended_Pictographic}\uFE0F?/u)?.[0] ||
+        label.replace(/[\d,]+.*$/, '').trim().toLowerCase();
+      if (emoji && count) counts[emoji] = Math.max(counts[emoji] || 0, count);
+    }
+    if (Object.keys(counts).length) return counts;
+  }
+  return {};
+}
+
+function normalizeComment(comment) {
+  const parsed = comment.timestamp && Date.parse(comment.timestamp);
+  return {
+    author: comment.author || 'Unknown',
+    timestamp: parsed ? new Date(parsed).toISOString() : comment.timestamp,
+    text: comment.text,
+  };
+}
+
+// ─── Footnotes ────────────────────────────────────────────────────────────────
+
+/**
+ * Add the comment anchor rule to a Turndown service. It only fires in a
+ * conversion (conversion.js), whose `threads` it references and whose
+ * `labels` it numbers; otherwise the highlighted text is kept as plain text.
+ * @param {import('turndown')} td
+ */
+export function addCommentRules(td) {
+  td.addRule('loop-comment-anchor', {
+    filter: (node) => Boolean(currentConversion()) && LOOP_COMMENT_ANCHOR_SELECTORS.some((sel) => node.matches(sel)),
+    replacement: (content, node) => {
+      const { threads, labels } = currentConversion();
+      const id = COMMENT_THREAD_ID_ATTRIBUTES.map((name) => node.getAttribute(name)).find(Boolean);
+      const thread = threads.find((t) => t.id && t.id === id);
+      // A highlight split over several elements gets one reference, on its first part
+      if (!thread || labels.has(thread)) return content;
+      labels.set(thread, labels.size + 1);
+      return `${content}[^comment-${labels.size}]`;
+    },
+  });
+}
+
+/**
+ * Add the footnotes to a page's Markdown. Threads without a highlight in the
+ * content are referenced after the first occurrence of their anchor text, or
+ * listed under "## Comments" when that isn't found either.
+ * @param {string} markdown
+ * @param {object[]} threads
+ * @param {Map<object, number>} labels - A conversion's `labels` (extended here)
+ * @returns {string}
+ */
+export function appendCommentFootnotes(markdown, threads, labels) {
+  let md = markdown;
+  const unanchored = [];
+  for (const thread of threads) {
+    if (labels.has(thread)) continue;
+    const at = thread.anchorText ? md.indexOf(thread.anchorText) : -1;
+    if (at < 0) {
+      unanchored.push(thread);
+      continue;
+    }
+    labels.set(thread, labels.size + 1);
+    const end = at + thread.anchorText.length;
+    md = `${md.slice(0, end)}[^comment-${labels.get(thread)}]${md.slice(end)}`;
+  }
+
+  if (unanchored.length) {
+    md += '\n\n## Comments\n\n' + unanchored.map((thread) => threadMarkdown(thread)).join('\n\n');
+  }
+
+  const footnotes = [...labels.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([thread, n]) => `[^comment-${n}]: ${indent(threadMarkdown(thread, { quote: false }), '    ').trimStart()}`);
+  if (footnotes.length) md += `\n\n${footnotes.join('\n\n')}`;
+  return md;
+}
+
+// ─── Sidecar ──────────────────────────────────────────────────────────────────
+
+/**
+ * The <page>.comments.md sidecar: every thread, with its anchor text quoted.
+ * @param {object[]} threads
+ * @param {object} page
+ * @param {string} page.title
+ * @param {string} [page.source]
+ * @param {string} page.link     - Link back to the page, in the layout's style
+ * @returns {string}
+ */
+export function buildCommentsSidecar(threads, { title, source, link }) {
+  let md = toFrontmatter({ title: `Comments: ${title}`, ...(source ? { source } : {}) });
+  md += `# Comments on ${link}\n\n`;
+  threads.forEach((thread, i) => {
+    md += `## Thread ${i + 1}\n\n${threadMarkdown(thread)}\n\n`;
+  });
+  return md.replace(/\n+$/, '\n');
+}
+
+// ─── Formatting ───────────────────────────────────────────────────────────────
+
+/** A thread as Markdown: anchor text as a quote (unless `quote` is false), then its comments. */
+function threadMarkdown(thread, { quote = true } = {}) {
+  const parts = [];
+  if (quote && thread.anchorText) parts.push(thread.anchorText.split('\n').map((l) => `> ${l}`).join('\n'));
+  if (thread.resolved) parts.push('_(resolved)_');
+  for (const comment of thread.comments) {
+    const when = comment.timestamp ? ` (${comment.timestamp})` : '';
+    parts.push(`**${comment.author}**${when}: ${comment.text.replace(/\n{2,}/g, '\n')}`);
+  }
+  return parts.join('\n\n');
+}
+
+function indent(text, pad) {
+  return text.split('\n').map((line) => (line ? `${pad}${line}` : '')).join('\n');
+}
@@ -0,0 +1,339 @@
+/**
+ * components.js — Turndown rules for Loop components.
+ *
+ * Loop renders its components as ARIA grids and lists of divs wrapped in
+ * chrome (title bar, toolbars, "Add item" buttons). Left to Turndown's
+ * defaults, the chrome and every cell run together into one paragraph. These
+ * rules read each component into rows and cells first, then write it back as:
+ *   - tables, status trackers, progress trackers, voting tables → GFM tables,
+ *     each cell formatted by its column type (person, date, label, checkbox,
+ *     vote, progress)
+ *   - Q&A → a list of questions with their answers nested below
+ *   - bulleted / numbered / checklist components → Markdown lists
+ *   - labels → `label`
+ *
+ * Selectors live in selectors.js with the rest of the Loop DOM knowledge.
+ */
+
+import {
+  LOOP_COMPONENT_SELECTORS,
+  LOOP_COMPONENT_TITLE_SELECTORS,
+  LOOP_COMPONENT_CHROME_SELECTORS,
+  LOOP_LABEL_SELECTORS,
+  LOOP_PERSON_SELECTORS,
+  LOOP_QNA_QUESTION_SELECTORS,
+  LOOP_QNA_ANSWER_SELECTORS,
+  LOOP_DATE_SELECTORS,
+} from './selectors.js';
+import { codeSpan } from './code.js';
+import { toGfmTable, escapeCell, unescapeCell, recordTable, plainText } from './tables.js';
+import { dateOf, formatDate } from './dates.js';
+import { mentionIdentity, mentionMarkdown } from './people.js';
+import { matchesAny, closestAny } from './helpers.js';
+
+// Header used when a component renders no header row of its own
+const DEFAULT_HEADERS = {
+  statusTracker: ['Item', 'Status', 'Assigned to', 'Due date'],
+  progressTracker: ['Task', 'Status', 'Assigned to', 'Due date', 'Progress'],
+  voting: ['Idea', 'Votes'],
+};
+
+const GRID_KINDS = ['statusTracker', 'progressTracker', 'voting', 'table'];
+const LIST_KINDS = ['checklist', 'numberedList', 'bulletedList'];
+
+/**
+ * Add the Loop component rules to a Turndown service.
+ * @param {import('turndown')} td
+ * @param {object} [opts]
+ * @param {string} [opts.dateStyle] - How date cells are written (see dates.js)
+ */
+export function addComponentRules(td, { dateStyle = 'iso' } = {}) {
+  td.addRule('loop-component-grid', {
+    filter: (node) => GRID_KINDS.includes(componentKind(node)),
+    replacement: (content, node) => withTitle(node, () => gridToMarkdown(td, node, componentKind(node), dateStyle)),
+  });
+
+  td.addRule('loop-component-qna', {
+    filter: (node) => componentKind(node) === 'qna',
+    replacement: (content, node) => withTitle(node, () => qnaToMarkdown(td, node)),
+  });
+
+  td.addRule('loop-component-list', {
+    filter: (node) => LIST_KINDS.includes(componentKind(node)),
+    replacement: (content, node) => withTitle(node, () => listToMarkdown(td, node, componentKind(node))),
+  });
+
+  td.addRule('loop-label', {
+    filter: (node) => matchesAny(node, LOOP_LABEL_SELECTORS),
+    replacement: (content, node) => codeSpan(textOf(node)),
+  });
+}
+
+/**
+ * The kind of Loop component rooted at `node`, or null.
+ * A node inside another component (e.g. the grid inside a status tracker)
+ * is not a root of its own.
+ */
+export function componentKind(node) {
+  if (node.nodeType !== 1) return null;
+  for (const [kind, selectors] of Object.entries(LOOP_COMPONENT_SELECTORS)) {
+    if (!matchesAny(node, selectors)) continue;
+    if (closestAny(node.parentNode, Object.values(LOOP_COMPONENT_SELECTORS).flat())) return null;
+    return kind;
+  }
+  return null;
+}
+
+// ─── Grids: tables, trackers, voting ──────────────────────────────────────────
+
+function gridToMarkdown(td, node, kind, dateStyle) {
+  stripChrome(node);
+  const { headers, types, rows } = readGrid(node);
+  if (!rows.length && !headers.length) return td.turndown(node.innerHTML);
+
+  const width = Math.max(headers.length, ...rows.map((r) => r.length));
+  let header = headers;
+  if (!header.length) {
+    // GFM needs a header row; leave it empty rather than invent column names
+    const defaults = DEFAULT_HEADERS[kind];
+    header = defaults && defaults.length === width ? defaults : Array(width).fill('');
+  }
+
+  const formatted = rows.map((cells) => cells.map((cell, i) => formatCell(td, cell, types[i], dateStyle)));
+  recordTable(header.map(unescapeCell), formatted.map((cells) => cells.map((cell) => cell.text)));
+  return toGfmTable(header, formatted.map((cells) => cells.map((cell) => cell.markdown)), width);
+}
+
+/**
+ * Read an ARIA grid (or a plain <table>) into header texts, column types and
+ * body cell elements.
+ */
+function readGrid(node) {
+  let rowEls = Array.from(node.querySelectorAll('[role="row"]'));
+  if (!rowEls.length) rowEls = Array.from(node.querySelectorAll('tr'));
+
+  const headers = [];
+  const types = [];
+  const rows = [];
+  for (const row of rowEls) {
+    const headerCells = Array.from(row.querySelectorAll('[role="columnheader"], th'));
+    if (headerCells.length && !headers.length) {
+      for (const cell of headerCells) {
+        headers.push(escapeCell(textOf(cell)));
+        types.push(cell.getAttribute('data-column-type') || cell.getAttribute('data-type') || null);
+      }
+      continue;
+    }
+    const cells = Array.from(row.querySelectorAll('[role="gridcell"], [role="cell"], [role="rowheader"], td'))
+      // Cells of a nested grid belong to that grid
+      .filter((cell) => cell.parentNode === row || closestRow(cell) === row);
+    if (cells.length) rows.push(cells);
+  }
+  return { headers, types, rows };
+}
+
+function closestRow(cell) {
+  let el = cell.parentNode;
+  while (el && el.nodeType === 1) {
+    if (el.getAttribute('role') === 'row' || el.nodeName === 'TR') return el;
+    el = el.parentNode;
+  }
+  return null;
+}
+
+/**
+ * One cell as inline Markdown, and as plain text for CSV. The column type
+ * comes from the header when Loop provides it; otherwise it is inferred from
+ * the cell's contents.
+ * @returns {{ markdown: string, text: string }}
+ */
+function formatCell(td, cell, columnType, dateStyle) {
+  const type = (columnType || inferCellType(cell) || 'text').toLowerCase();
+  const plain = (text) => ({ markdown: escapeCell(text), text });
+
+  switch (type) {
+    case 'checkbox':
+    case 'boolean':
+      return plain(isChecked(cell) ? '[x]' : '[ ]');
+    case 'person':
+    case 'people':
+    case 'assignee': {
+      const names = people(cell);
+      if (!names.length) return plain(textOf(cell));
+      return { markdown: escapeCell(mentions(cell).join(', ')), text: names.join(', ') };
+    }
+    case 'label':
+    case 'status':
+    case 'choice': {
+      const labels = queryOutermost(cell, LOOP_LABEL_SELECTORS).map(textOf).filter(Boolean);
+      return plain(labels.length ? labels.join(', ') : textOf(cell));
+    }
+    case 'date': {
+      const date = dateOf(cell);
+      if (!date) return plain(textOf(cell));
+      return { markdown: escapeCell(formatDate(date, dateStyle)), text: date };
+    }
+    case 'vote': {
+      const count = cell.getAttribute('data-vote-count') ||
+        cell.querySelector('[data-vote-count]')?.getAttribute('data-vote-count') ||
+        (textOf(cell).match(/\d+/) || ['0'])[0];
+      const voters = people(cell);
+      if (!voters.length) return plain(count);
+      return { markdown: escapeCell(`${count} (${mentions(cell).join(', ')})`), text: `${count} (${voters.join(', ')})` };
+    }
+    case 'progress': {
+      const bar = cell.getAttribute('role') === 'progressbar' ? cell : cell.querySelector('[role="progressbar"]');
+      const value = bar?.getAttribute('aria-valuenow');
+      return plain(value != null ? `${Math.round(Number(value))}%` : textOf(cell));
+    }
+    default:
+      return { markdown: escapeCell(td.turndown(cell.innerHTML).trim()), text: plainText(cell) };
+  }
+}
+
+function inferCellType(cell) {
+  if (cell.querySelector('[role="checkbox"], input[type="checkbox"]')) return 'checkbox';
+  if (cell.querySelector('[role="progressbar"]')) return 'progress';
+  if (cell.querySelector('[data-vote-count]') || cell.hasAttribute('data-vote-count')) return 'vote';
+
+  // Chips only count when they are the whole cell, not part of a sentence
+  const chipsOnly = !textOf(withoutNodes(cell, [...LOOP_PERSON_SELECTORS, ...LOOP_LABEL_SELECTORS]))
+    .replace(/[,;]/g, '').trim();
+  if (chipsOnly && queryOutermost(cell, LOOP_PERSON_SELECTORS).length) return 'person';
+  if (chipsOnly && queryOutermost(cell, LOOP_LABEL_SELECTORS).length) return 'label';
+  const dateChip = queryOutermost(cell, LOOP_DATE_SELECTORS)[0];
+  if (dateChip && textOf(cell) === textOf(dateChip)) return 'date';
+  return null;
+}
+
+// ─── Q&A ──────────────────────────────────────────────────────────────────────
+
+function qnaToMarkdown(td, node) {
+  stripChrome(node);
+  const questions = queryOutermost(node, LOOP_QNA_QUESTION_SELECTORS);
+  if (!questions.length) return td.turndown(node.innerHTML);
+
+  const lines = [];
+  for (const question of questions) {
+    const answers = queryOutermost(question, LOOP_QNA_ANSWER_SELECTORS);
+    const asked = withoutNodes(question, LOOP_QNA_ANSWER_SELECTORS);
+    lines.push(`- **Q:** ${attributed(asked)}`);
+    for (const answer of answers) {
+      lines.push(`  - ${attributed(answer)}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/** "Text — _Author_" for a question or answer; the author is its first person chip. */
+function attributed(node) {
+  const author = people(node)[0];
+  const text = textOf(withoutNodes(node, LOOP_PERSON_SELECTORS));
+  return author ? `${text} — _${author}_` : text;
+}
+
+// ─── List components ──────────────────────────────────────────────────────────
+
+function listToMarkdown(td, node, kind) {
+  stripChrome(node);
+  let items = Array.from(node.querySelectorAll('[role="listitem"]'));
+  if (!items.length) items = Array.from(node.querySelectorAll('li'));
+  if (!items.length) return td.turndown(node.innerHTML);
+
+  const counters = [];
+  return items.map((item) => {
+    // Loop renders nesting either with aria-level on a flat list or with nested <li>s
+    const level = parseInt(item.getAttribute('aria-level'), 10) || listDepth(item, node);
+    counters.length = level;
+    counters[level - 1] = (counters[level - 1] || 0) + 1;
+
+    const indent = ' '.repeat((level - 1) * (kind === 'numberedList' ? 3 : 2));
+    const own = withoutNodes(item, ['[role="checkbox"]', 'input', 'ul', 'ol', '[role="list"]']);
+    const text = td.turndown(own.innerHTML).trim().replace(/\n+/g, ' ');
+    if (kind === 'checklist') return `${indent}- [${isChecked(item) ? 'x' : ' '}] ${text}`;
+    if (kind === 'numberedList') return `${indent}${counters[level - 1]}. ${text}`;
+    return `${indent}- ${text}`;
+  }).join('\n');
+}
+
+/** 1 + the number of list items between `item` and the component root. */
+function listDepth(item, root) {
+  let depth = 1;
+  for (let el = item.parentNode; el && el !== root; el = el.parentNode) {
+    if (el.nodeName === 'LI' || el.getAttribute?.('role') === 'listitem') depth++;
+  }
+  return depth;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Block output with the component's title (if any) as a bold line above.
+ * The title is read before `convert` strips it along with the other chrome.
+ */
+function withTitle(node, convert) {
+  const titleEl = queryOutermost(node, LOOP_COMPONENT_TITLE_SELECTORS)[0];
+  const title = titleEl ? textOf(titleEl) : '';
+  return `\n\n${title ? `**${title}**\n\n` : ''}${convert()}\n\n`;
+}
+
+/** Remove the component's title bar, toolbars and buttons from `node` (in place). */
+function stripChrome(node) {
+  for (const el of queryOutermost(node, [...LOOP_COMPONENT_CHROME_SELECTORS, ...LOOP_COMPONENT_TITLE_SELECTORS])) {
+    el.parentNode?.removeChild(el);
+  }
+}
+
+function isChecked(node) {
+  const box = node.getAttribute('role') === 'checkbox'
+    ? node
+    : node.querySelector('[role="checkbox"], input[type="checkbox"]');
+  return Boolean(
+    node.getAttribute('aria-checked') === 'true' ||
+    node.getAttribute('data-checked') === 'true' ||
+    box?.getAttribute('aria-checked') === 'true' ||
+    box?.hasAttribute('checked')
+  );
+}
+
+/** Names of the people chips in `node`, in order, deduplicated. */
+function people(node) {
+  return [...new Set(queryOutermost(node, LOOP_PERSON_SELECTORS).map(personName).filter(Boolean))];
+}
+
+/**
+ * The people chips in `node` as @mentions, in order, deduplicated: through
+ * people.js, so they link to people notes and reach the people directory.
+ */
+function mentions(node) {
+  const seen = new Set();
+  const out = [];
+  for (const el of queryOutermost(node, LOOP_PERSON_SELECTORS)) {
+    const name = personName(el);
+    if (!name || seen.has(name)) continue;
+    seen.add(name);
+    out.push(mentionMarkdown({ ...mentionIdentity(el), name }));
+  }
+  return out;
+}
+
+function personName(el) {
+  return (el.getAttribute('aria-label') || el.getAttribute('title') || textOf(el)).replace(/^@/, '').trim();
+}
+
+/** A copy of `node` without the descendants matching `selectors`. */
+function withoutNodes(node, selectors) {
+  const copy = node.cloneNode(true);
+  for (const el of queryOutermost(copy, selectors)) el.parentNode?.removeChild(el);
+  return copy;
+}
+
+/** Elements under `root` matching any selector, outermost only, in document order. */
+function queryOutermost(root, selectors) {
+  const found = Array.from(root.querySelectorAll(selectors.join(', ')));
+  return found.filter((el) => !found.some((other) => other !== el && other.contains(el)));
+}
+
+function textOf(node) {
+  return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
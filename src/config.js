@@ -0,0 +1,120 @@
+/**
+ * config.js — Optional JSON config file for the export pass.
+ *
+ * Looked up at --config <file>, else ./loop-export.config.json in the current
+ * directory. Everything is optional; missing keys fall back to the defaults
+ * below. Example:
+ *
+ *   {
+ *     "frontmatter": {
+ *       "fields": { "id": "loopId", "exported": false },
+ *       "tags": ["loop-archive"],
+ *       "extra": { "publish": false }
+ *     },
+ *     "people": { "dir": "People", "mentionFormat": "link" },
+ *     "dates": { "style": "obsidian" },
+ *     "components": { "transclude": true, "dir": "_components" },
+ *     "assets": { "store": "workspace", "concurrency": 8 },
+ *     "attachments": { "maxSizeMB": 25, "allow": ["pdf", "docx", "xlsx", "pptx"] },
+ *     "plugins": ["./loop-plugins/jira-keys.js"]
+ *   }
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import path from 'path';
+
+export const CONFIG_FILENAME = 'loop-export.config.json';
+
+export const DEFAULT_CONFIG = {
+  frontmatter: {
+    // Field → output key; false/null omits the field. Merged over the layout's keys.
+    fields: {},
+    // Tags added to every page
+    tags: [],
+    // Static key/values appended to every page's frontmatter
+    extra: {},
+  },
+  people: {
+    // Folder for people notes, under the content root; false = no people directory
+    dir: 'People',
+    // How @mentions are written: 'link' (to the person's note), 'text' (@Name),
+    // or a template such as "[[{path}|{name}]]" (see people.js formatMention)
+    mentionFormat: 'link',
+  },
+  dates: {
+    // How date chips are written: 'iso' (2026-10-19), 'obsidian' ([[2026-10-19]]
+    // daily-note link) or 'dataview' ([due:: 2026-10-19])
+    style: 'iso',
+  },
+  components: {
+    // Write shared components (same source ID on several pages) once and embed them
+    transclude: false,
+    // Folder for them, under the content root
+    dir: '_components',
+  },
+  assets: {
+    // Where downloaded images go: 'page' (an _assets folder next to each page),
+    // 'workspace' or 'vault' (one shared, content-addressed _assets folder; see assets.js)
+    store: 'page',
+    // Download queue: downloads at once (across all tabs), seconds per request,
+    // retries on 429/5xx and timeouts, and the largest file kept (0 = no limit)
+    concurrency: 4,
+    timeoutSeconds: 60,
+    retries: 3,
+    maxSizeMB: 200,
+  },
+  attachments: {
+    // Limits for --attachments: bigger files, and files with a refused
+    // extension, stay links (0 = no size limit)
+    maxSizeMB: 100,
+    // Only these extensions (empty: any); deny wins over allow
+    allow: [],
+    deny: ['exe', 'msi', 'dll', 'bat', 'cmd', 'com', 'scr', 'ps1', 'vbs', 'js', 'jar'],
+    // Hosts that count as the tenant ("*." matches any subdomain)
+    hosts: ['*.sharepoint.com'],
+  },
+  // Conversion plugin modules, relative to the config file (see plugins.js)
+  plugins: [],
+};
+
+/**
+ * Load and merge the config file.
+ * @param {string|null} [configPath] - Explicit path (--config); errors if missing
+ * @returns {object} Config merged over DEFAULT_CONFIG, with `configDir` set
+ */
+export function loadConfig(configPath = null) {
+  const file = configPath
+    ? path.resolve(configPath)
+    : path.resolve(process.cwd(), CONFIG_FILENAME);
+
+  if (!existsSync(file)) {
+    if (configPath) throw new Error(`Config file not found: ${file}`);
+    return { ...structuredClone(DEFAULT_CONFIG), configDir: process.cwd() };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not parse config file ${file}: ${err.message}`);
+  }
+
+  console.log(`⚙️  Using config ${file}`);
+  return { ...mergeDeep(structuredClone(DEFAULT_CONFIG), raw), configDir: path.dirname(file) };
+}
+
+/** Merge plain objects recursively; arrays and scalars from `source` replace `target`'s. */
+function mergeDeep(target, source) {
+  for (const [key, value] of Object.entries(source || {})) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,67 @@
+/**
+ * conversion.js — The per-page context the Turndown rules read and fill in.
+ *
+ * Turndown services are built once per configuration and cached (markdown.js),
+ * so their rules can't close over one page's data. htmlToMarkdown creates a
+ * context for each conversion and runs Turndown inside runConversion(); rules
+ * get it from currentConversion() to read the page's options (mention format,
+ * component embed, comment threads) and record what they converted (tables,
+ * people, shared components, footnote labels). Outside a conversion it is
+ * null, and the rules fall back to plain output.
+ */
+
+let current = null;
+
+/**
+ * A context for converting one page.
+ * @param {object} [opts]
+ * @param {((person: object) => string|null)|null} [opts.mentionFormat]
+ *   Markdown for a mention (null: "@Name"; see people.js)
+ * @param {((component: object) => { markdown: string, import: string|null }|null)|null} [opts.componentEmbed]
+ *   Writes a shared component out and returns its embed (null: kept inline; see transclusion.js)
+ * @param {object[]} [opts.threads] - Comment threads to reference as footnotes (see comments.js)
+ * @returns {{
+ *   mentionFormat: Function|null, componentEmbed: Function|null, threads: object[],
+ *   tables: { header: string[], rows: string[][] }[],
+ *   people: { name: string, email: string|null, id: string|null }[],
+ *   components: { id: string, title: string }[],
+ *   imports: string[],
+ *   labels: Map<object, number>,
+ * }}
+ *   tables: plain-text cells, for CSV; imports: for the top of the page (MDX);
+ *   labels: comment thread → footnote number
+ */
+export function createConversion({ mentionFormat = null, componentEmbed = null, threads = [] } = {}) {
+  return {
+    mentionFormat,
+    componentEmbed,
+    threads,
+    tables: [],
+    people: [],
+    components: [],
+    imports: [],
+    labels: new Map(),
+  };
+}
+
+/**
+ * Run `fn` (the Turndown call) with `context` as the current conversion.
+ * @template T
+ * @param {object} context - From createConversion
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runConversion(context, fn) {
+  const previous = current;
+  current = context;
+  try {
+    return fn();
+  } finally {
+    current = previous;
+  }
+}
+
+/** The conversion in progress, or null. */
+export function currentConversion() {
+  return current;
+}
@@ -0,0 +1,181 @@
+/**
+ * dates.js — Loop date chips → ISO-8601 dates.
+ *
+ * Loop renders dates in the browser's locale and often relative to today
+ * ("Due Friday", "Tomorrow", "Oct 3"), which means nothing once archived.
+ * The rule below resolves every date chip to a YYYY-MM-DD date: from a
+ * machine-readable attribute (datetime, data-date, data-timestamp) when the
+ * chip has one, else by parsing its text relative to the export time (which
+ * is when the browser rendered it). The date is then written as:
+ *
+ *   iso        2026-10-23
+ *   obsidian   [[2026-10-23]]          (daily-note link)
+ *   dataview   [due:: 2026-10-23]      (inline field; "Due …" chips → due)
+ *
+ * Text parsing understands English month and weekday names only; chips it
+ * can't read are left as rendered.
+ */
+
+import { LOOP_DATE_SELECTORS } from './selectors.js';
+
+export const DATE_STYLES = ['iso', 'obsidian', 'dataview'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RELATIVE_DAYS = { today: 0, tomorrow: 1, yesterday: -1 };
+
+// Words before the date in a chip ("Due Friday", "Starts: Oct 3")
+const PREFIX = /^(due|starts?|ends?|start date|end date|deadline|on|by)\b\s*:?\s*/i;
+
+// Chip prefix → Dataview field name (default: date)
+const PREFIX_FIELDS = { due: 'due', deadline: 'due', start: 'start', starts: 'start', 'start date': 'start', end: 'end', ends: 'end', 'end date': 'end' };
+
+/**
+ * Add the date chip rule to a Turndown service.
+ * @param {import('turndown')} td
+ * @param {object} [opts]
+ * @param {'iso'|'obsidian'|'dataview'} [opts.dateStyle]
+ */
+export function addDateRules(td, { dateStyle = 'iso' } = {}) {
+  td.addRule('loop-date', {
+    filter: (node) => isDateChip(node) && !closestDateChip(node.parentNode),
+    replacement: (content, node) => {
+      const date = dateOf(node);
+      if (!date) return content;
+      const text = (node.textContent || '').replace(/\s+/g, ' ').trim();
+      const prefix = text.match(PREFIX);
+      const field = PREFIX_FIELDS[prefix?.[1].toLowerCase()] || 'date';
+      const formatted = formatDate(date, dateStyle, field);
+      // The prefix is part of the Dataview field; the other styles keep it as text
+      return prefix && dateStyle !== 'dataview' ? `${prefix[1]} ${formatted}` : formatted;
+    },
+  });
+}
+
+/**
+ * A date in the given output style.
+ * @param {string} date   - YYYY-MM-DD
+ * @param {string} style  - iso | obsidian | dataview
+ * @param {string} [field] - Dataview field name
+ * @returns {string}
+ */
+export function formatDate(date, style, field = 'date') {
+  switch (style) {
+    case 'obsidian':
+      return `[[${date}]]`;
+    case 'dataview':
+      return `[${field}:: ${date}]`;
+    case 'iso':
+    default:
+      return date;
+  }
+}
+
+/**
+ * The date a chip (or any element holding one) shows, as YYYY-MM-DD.
+ * @param {Element} node
+ * @param {Date} [now]   - What relative dates are relative to
+ * @returns {string|null}
+ */
+export function dateOf(node, now = new Date()) {
+  const chip = isDateChip(node) ? node : LOOP_DATE_SELECTORS.map((sel) => node.querySelector(sel)).find(Boolean);
+  for (const el of [chip, chip?.querySelector('time[datetime]')]) {
+    if (!el) continue;
+    for (const name of ['datetime', 'data-date', 'data-value', 'data-timestamp']) {
+      const date = parseDateAttribute(el.getAttribute(name));
+      if (date) return date;
+    }
+  }
+  return parseDateText((chip || node).textContent, now);
+}
+
+/**
+ * Parse a date as Loop displays it: "Today", "Tomorrow", "Friday",
+ * "next Friday", "Oct 3", "3 October 2026", "Oct 3, 2026" or an ISO date,
+ * optionally after "Due", "Starts"… and followed by a time.
+ * @param {string} text
+ * @param {Date} [now]
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseDateText(text, now = new Date()) {
+  const t = (text || '').replace(/\s+/g, ' ').trim().toLowerCase()
+    .replace(PREFIX, '')
+    // Trailing time of day: "Friday at 3:00 PM", "Oct 3, 14:00"
+    .replace(/,?\s*(?:at\s+)?\d{1,2}:\d{2}(?:\s*[ap]\.?m\.?)?$/, '')
+    .trim();
+  if (!t) return null;
+
+  const iso = t.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) return validDate(+iso[1], +iso[2] - 1, +iso[3]);
+
+  if (t in RELATIVE_DAYS) return toIsoDate(addDays(now, RELATIVE_DAYS[t]));
+
+  // Weekdays: the next one to come ("Friday" on a Friday is a week away), or
+  // the last one with "last"
+  const weekday = t.match(/^(next |last |this )?([a-z]+)$/);
+  const day = weekday && WEEKDAYS.indexOf(weekday[2].slice(0, 3));
+  if (weekday && day >= 0 && isWeekdayName(weekday[2])) {
+    const ahead = (day - now.getDay() + 7) % 7 || 7;
+    const back = (now.getDay() - day + 7) % 7 || 7;
+    return toIsoDate(addDays(now, weekday[1] === 'last ' ? -back : ahead));
+  }
+
+  // "Oct 3", "Oct 3, 2026", "Fri, Oct 3" / "3 Oct", "3 October 2026"
+  const dated = t.replace(/^[a-z]+,\s*/, (m) => (WEEKDAYS.includes(m.slice(0, 3)) ? '' : m));
+  const monthFirst = dated.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/);
+  const dayFirst = dated.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?(?:,? (\d{4}))?$/);
+  const [monthName, dayOfMonth, year] = monthFirst
+    ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+    : dayFirst ? [dayFirst[2], dayFirst[1], dayFirst[3]] : [];
+  const month = monthName ? MONTHS.indexOf(monthName.slice(0, 3)) : -1;
+  if (month >= 0) {
+    // Loop leaves the year out for dates in the current year
+    return validDate(year ? +year : now.getFullYear(), month, +dayOfMonth);
+  }
+
+  return null;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function isDateChip(node) {
+  return node.nodeType === 1 && LOOP_DATE_SELECTORS.some((sel) => node.matches(sel));
+}
+
+function closestDateChip(node) {
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    if (isDateChip(el)) return el;
+  }
+  return null;
+}
+
+/** An ISO date/datetime (date part taken as written) or epoch milliseconds. */
+function parseDateAttribute(value) {
+  const v = (value || '').trim();
+  const iso = v.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return validDate(+iso[1], +iso[2] - 1, +iso[3]);
+  if (/^\d{10,13}$/.test(v)) return toIsoDate(new Date(v.length === 10 ? +v * 1000 : +v));
+  return null;
+}
+
+function isWeekdayName(word) {
+  return /^(sun|mon|tue|wed|thu|fri|sat)(day|s|sday|nesday|rsday|urday|\.)?$/.test(word) ||
+    /^(tues|thur|thurs)$/.test(word);
+}
+
+function validDate(year, month, day) {
+  const d = new Date(year, month, day);
+  return d.getMonth() === month && d.getDate() === day ? toIsoDate(d) : null;
+}
+
+function addDays(date, days) {
+  const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/** YYYY-MM-DD in local time (the browser rendered the chip in local time). */
+function toIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -1,10 +1,11 @@
 /**
  * exporter.js — Navigate to each page discovered by inventory and export to Markdown.
  *
- * Output structure (Obsidian-friendly):
+ * Output structure (default "obsidian" layout; see layouts.js for the others):
  *
  *   <outputRoot>/
  *     <workspace-slug>/
+ *       index.md            ← generated: lists the workspace's top-level pages
  *       top-level-page.md
  *       parent-page/
  *         index.md          ← parent page content
@@ -13,72 +14,274 @@
  *         child-page-2/
  *           index.md
  *           grandchild.md
- *       _assets/            ← workspace-level shared assets (if any)
+ *       _assets/            ← workspace-level shared assets (config assets.store: "workspace")
+ *     _components/          ← shared Loop components, embedded by the pages using them
+ *     People/               ← one note per @mentioned person
  *
  * Each page with children becomes a folder with:
- *   - index.md  = the parent's own content
- *   - siblings  = each child's .md file
+ *   - the layout's folder note (index.md, README.md…) = the parent's own content
+ *   - siblings = each child's .md file
  */
 
 import path from 'path';
-import { writeFileSync, mkdirSync } from 'fs';
+import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'fs';
 import { setTimeout } from 'node:timers/promises';
 import {
   PAGE_CONTENT_SELECTORS,
   PAGE_TITLE_SELECTORS,
+  PAGE_AUTHOR_SELECTORS,
+  PAGE_MODIFIED_SELECTORS,
+  PAGE_ICON_SELECTORS,
+  PAGE_COVER_SELECTORS,
   findFirst,
 } from './selectors.js';
-import { rewriteImages } from './assets.js';
-import { htmlToMarkdown, toSlug } from './markdown.js';
+import { rewriteImages, downloadAsset, createAssetStore, createDownloadQueue, captureBearerTokens } from './assets.js';
+import { htmlToMarkdown, resolveFrontmatterKeys } from './markdown.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { toCsv } from './tables.js';
+import { createPeopleDirectory } from './people.js';
+import { createComponentStore } from './transclusion.js';
+import { extractDiscussion, buildCommentsSidecar } from './comments.js';
+import { rewriteAttachments } from './attachments.js';
+import { createNameAllocator, toSafeName } from './naming.js';
+import { buildLinkIndex, rewriteLoopLinks, formatLink } from './links.js';
+import { resolveLayout, writeLayoutFiles } from './layouts.js';
+import {
+  loadState,
+  saveState,
+  getPageState,
+  recordPage,
+  contentHash,
+  pageKey,
+  binaryAssetSet,
+} from './state.js';
+import {
+  FAILURE,
+  failure,
+  classifyFailure,
+  isRetryable,
+  backoffDelay,
+  isLoginUrl,
+} from './failures.js';
+
+const AUDIT_FILENAME = 'audit-report.json';
+
+// Names a page may never take (besides the layout's folder note): they'd clash
+// with generated files and folders.
+const RESERVED_NAMES = ['_assets', '_category_'];
 
 // ─── Main exporter entry point ────────────────────────────────────────────────
 
 /**
  * @param {import('playwright').Page} page      - Authenticated browser page
- * @param {import('playwright').BrowserContext} context - For cookie extraction
+ * @param {import('playwright').BrowserContext} context - For asset downloads (request API, cookies) and extra tabs
  * @param {object} manifest                     - From inventory.js
  * @param {string} outputRoot                   - Root directory to write exports
  * @param {object} [opts]
  * @param {boolean} [opts.verbose]
  * @param {string|null} [opts.workspaceFilter]  - Only export this workspace (by title/slug)
  * @param {string|null} [opts.pageFilter]       - Only export pages matching this title substring
- * @returns {Promise<object>}                   - Audit report { exported, failed, skipped }
+ * @param {boolean} [opts.resume]               - Skip pages already recorded in export-state.json
+ * @param {boolean} [opts.changedOnly]          - Only rewrite pages whose content hash changed
+ * @param {number} [opts.concurrency]           - Number of browser tabs exporting in parallel
+ * @param {number} [opts.retries]               - Extra attempts for a page after a retryable failure
+ * @param {number} [opts.retryDelay]            - Base backoff delay in ms (doubles on each retry)
+ * @param {boolean} [opts.retryFailed]          - Only re-run pages that failed in the previous audit report
+ * @param {object} [opts.layout]               - From layouts.resolveLayout (default: obsidian)
+ * @param {object} [opts.config]                - From config.loadConfig (frontmatter, people, dates, components, assets, attachments)
+ * @param {boolean} [opts.tablesCsv]            - Also write each table as <page>.table-<n>.csv
+ * @param {'footnotes'|'sidecar'|null} [opts.includeComments] - Export comment threads (and reactions)
+ * @param {object[]} [opts.plugins]            - From plugins.loadPlugins (config `plugins`)
+ * @param {boolean} [opts.pruneAssets]         - Delete shared-store assets no page references any more
+ * @param {boolean} [opts.attachments]         - Download files linked from pages (limits: config attachments)
+ * @returns {Promise<object>}                   - Audit report { exported, failed, skipped, unchanged }
  */
 export async function runExport(page, context, manifest, outputRoot, opts = {}) {
-  const { verbose = false, workspaceFilter = null, pageFilter = null } = opts;
+  const {
+    verbose = false,
+    workspaceFilter = null,
+    pageFilter = null,
+    resume = false,
+    changedOnly = false,
+    concurrency = 1,
+    retries = 2,
+    retryDelay = 3000,
+    retryFailed = false,
+    layout = resolveLayout(),
+    config = DEFAULT_CONFIG,
+    tablesCsv = false,
+    includeComments = null,
+    plugins = [],
+    pruneAssets = false,
+    attachments = false,
+  } = opts;
+
+  // Layout keys first, then the config file's renames/omissions
+  const frontmatter = {
+    keys: resolveFrontmatterKeys(layout.frontmatterKeys, config.frontmatter.fields),
+    tags: config.frontmatter.tags || [],
+    extra: config.frontmatter.extra || {},
+  };
 
   const audit = {
     startedAt: new Date().toISOString(),
     exported: [],
     failed: [],
-    skipped: [],
+    skipped: [],   // filtered out by --workspace / --page
+    unchanged: [], // already exported (--resume) or content hash unchanged (--changed-only)
+    unresolvedLinks: [], // Loop links that don't point at an exported page
+    postExportErrors: [], // { step, error }: layout files / people notes that couldn't be written
   };
 
-  // Extract cookies for authenticated asset downloads
+  // Checkpoint from previous runs (always written; only read back for --resume/--changed-only)
+  const state = loadState(outputRoot);
+
+  // People notes for @mentions (null: mentions stay plain "@Name")
+  const people = config.people?.dir
+    ? createPeopleDirectory(state, outputRoot, { ...config.people, layout })
+    : null;
+
+  // Shared components written once to their own file (null: kept inline)
+  const components = config.components?.transclude
+    ? createComponentStore(state, outputRoot, { dir: config.components.dir, layout })
+    : null;
+
+  // Content-addressed assets shared by a workspace or the whole export (null: one _assets per page folder)
+  const assetStore = config.assets?.store && config.assets.store !== 'page' ? createAssetStore(outputRoot) : null;
+
+  // Authenticated asset downloads: the context's own request API first, a
+  // Cookie header for the node-fetch fallback, and the app's bearer tokens for
+  // in-page fetch (each page adds its tab, see assets.js). One queue for every
+  // tab, so config assets.concurrency bounds the whole export.
   const cookies = await context.cookies();
   const cookieString = cookies.map((c) => `${c.name}=${c.value}`).join('; ');
-  const assetContext = { cookies: cookieString };
+  const assetContext = {
+    request: context.request,
+    cookies: cookieString,
+    queue: createDownloadQueue(config.assets),
+    binaryAssets: binaryAssetSet(state, outputRoot),
+    tokens: captureBearerTokens(context),
+  };
+
+  // Decide every output path up front, so parallel tabs never have to agree on anything
+  const plan = planExport(manifest, outputRoot, {
+    workspaceFilter,
+    pageFilter,
+    previousPaths: state.paths,
+    layout,
+    generatedDirs: generatedDirs(config),
+    assetStore: config.assets?.store,
+  });
+  state.paths = { ...state.paths, ...plan.paths };
+  saveState(outputRoot, state);
+
+  // Every page ever planned (not just this run's filtered subset) is a valid link target
+  const linkIndex = buildLinkIndex(state.paths, outputRoot);
+
+  if (retryFailed) {
+    audit.mode = 'retry-failed';
+    restrictToPreviousFailures(plan, outputRoot);
+    console.log(`\n🔁 Retrying ${plan.jobs.length} page(s) that failed in the previous run`);
+  }
+  audit.skipped.push(...plan.skipped);
+
+  // One tab per worker, all sharing the authenticated context
+  const tabCount = Math.max(1, Math.min(concurrency, plan.jobs.length || 1));
+  const tabs = [page];
+  for (let i = 1; i < tabCount; i++) tabs.push(await context.newPage());
+  if (tabCount > 1) console.log(`\n🗂  Exporting ${plan.jobs.length} page(s) across ${tabCount} tabs`);
+
+  const results = new Array(plan.jobs.length);
+  let currentWorkspace = null;
+  try {
+    await runWorkers(plan.jobs, tabs, async (job, index, tab, tabIndex) => {
+      if (tabCount === 1 && job.workspace !== currentWorkspace) {
+        currentWorkspace = job.workspace;
+        console.log(`\n📂 Exporting workspace: "${job.workspace.title}"`);
+      }
+      results[index] = await exportSinglePage(tab, job, assetContext, {
+        verbose,
+        state,
+        outputRoot,
+        resume,
+        changedOnly,
+        retries,
+        retryDelay,
+        linkIndex,
+        layout,
+        frontmatter,
+        tablesCsv,
+        people,
+        components,
+        assetStore,
+        attachments: attachments ? config.attachments : null,
+        includeComments,
+        plugins,
+        dateStyle: config.dates.style,
+        tag: tabCount > 1 ? `[tab ${tabIndex + 1}] ` : '',
+      });
+    });
+  } finally {
+    for (const tab of tabs.slice(1)) await tab.close().catch(() => {});
+    assetContext.tokens.stop();
+  }
+
+  // Post-export steps: the pages are already written, so a failure here is
+  // recorded in the audit rather than ending the run before it is saved
+  const postExportStep = (step, fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      console.warn(`\n⚠️  ${step} failed: ${err.message}`);
+      audit.postExportErrors.push({ step, error: err.message });
+      return null;
+    }
+  };
+
+  // Folder notes for workspaces + mkdocs.yml / _category_.json, from the full plan
+  const layoutFiles = postExportStep('layout-files', () => writeLayoutFiles(layout, plan, outputRoot, {
+    frontmatterKeys: frontmatter.keys,
+    frontmatterExtra: frontmatter.extra,
+    snippets: Boolean(components),
+    state,
+  }));
+  if (verbose && layoutFiles) console.log(`\n🧭 Wrote ${layoutFiles.length} ${layout.name} layout file(s)`);
 
-  for (const workspace of manifest.workspaces) {
-    if (workspaceFilter && !matchFilter(workspace.title, workspaceFilter)) {
-      audit.skipped.push({ type: 'workspace', title: workspace.title });
-      continue;
+  // Shared components found on the pages written this run
+  if (components) {
+    const componentFiles = postExportStep('components', () => components.write());
+    postExportStep('state', () => saveState(outputRoot, state));
+    if (componentFiles?.written.length) {
+      console.log(`\n🧩 Shared components: ${componentFiles.written.length} file(s) → ${components.dir}`);
     }
+    if (componentFiles?.stale.length) {
+      console.log(`   ℹ️  ${componentFiles.stale.length} page(s) still hold a shared component inline; --changed-only exports them again`);
+    }
+  }
 
-    const wsSlug = toSlug(workspace.title);
-    const wsDir = path.join(outputRoot, wsSlug);
-    mkdirSync(wsDir, { recursive: true });
+  // One note per person mentioned on any exported page (this run or earlier ones)
+  if (people) {
+    const peopleFiles = postExportStep('people', () => people.write({ frontmatterExtra: frontmatter.extra }));
+    postExportStep('state', () => saveState(outputRoot, state));
+    if (peopleFiles?.length) {
+      console.log(`\n👥 People directory: ${peopleFiles.length - 1} person note(s) → ${people.dir}`);
+    }
+  }
 
-    console.log(`\n📂 Exporting workspace: "${workspace.title}"`);
+  // Shared-store assets no page references any more (pages skipped this run keep theirs)
+  if (pruneAssets && assetStore) {
+    audit.prunedAssets = assetStore.prune(new Set(plan.allJobs.map((job) => pageKey(job.pageEntry))));
+    console.log(`\n🧹 Pruned ${audit.prunedAssets.length} unreferenced asset(s)`);
+  } else if (pruneAssets) {
+    console.warn('\n⚠️  --prune-assets needs a shared asset store (config assets.store: "workspace" or "vault") — nothing pruned.');
+  }
 
-    await exportPageList(
-      page,
-      workspace.pages,
-      wsDir,
-      assetContext,
-      audit,
-      { verbose, pageFilter, depth: 0 }
-    );
+  // Merge in manifest order, regardless of which tab finished first
+  for (const { bucket, entry } of results) {
+    audit[bucket].push(entry);
+    for (const link of entry.unresolvedLinks || []) {
+      audit.unresolvedLinks.push({ page: entry.title, file: entry.file, ...link });
+    }
   }
 
   // Write audit report
@@ -86,129 +289,706 @@ export async function runExport(page, context, manifest, outputRoot, opts = {})
   audit.totalExported = audit.exported.length;
   audit.totalFailed = audit.failed.length;
   audit.totalSkipped = audit.skipped.length;
+  audit.totalUnchanged = audit.unchanged.length;
+  audit.totalUnresolvedLinks = audit.unresolvedLinks.length;
+  audit.failuresByCategory = {};
+  for (const f of audit.failed) {
+    audit.failuresByCategory[f.category] = (audit.failuresByCategory[f.category] || 0) + 1;
+  }
+  audit.assetStrategies = {};
+  for (const e of audit.exported) {
+    for (const [strategy, count] of Object.entries(e.assetStrategies || {})) {
+      audit.assetStrategies[strategy] = (audit.assetStrategies[strategy] || 0) + count;
+    }
+  }
 
-  const auditPath = path.join(outputRoot, 'audit-report.json');
+  const auditPath = path.join(outputRoot, AUDIT_FILENAME);
   writeFileSync(auditPath, JSON.stringify(audit, null, 2), 'utf8');
   console.log(`\n📊 Audit report → ${auditPath}`);
   console.log(`   ✅ Exported: ${audit.totalExported}`);
   console.log(`   ❌ Failed:   ${audit.totalFailed}`);
+  for (const [category, count] of Object.entries(audit.failuresByCategory)) {
+    console.log(`      · ${category}: ${count}`);
+  }
   console.log(`   ⏭️  Skipped:  ${audit.totalSkipped}`);
+  console.log(`   💤 Unchanged: ${audit.totalUnchanged}`);
+  if (audit.totalUnresolvedLinks) {
+    console.log(`   🔗 Unresolved Loop links: ${audit.totalUnresolvedLinks}`);
+  }
+  for (const { step, error } of audit.postExportErrors) {
+    console.log(`   ⚠️  ${step}: ${error}`);
+  }
+  const strategies = Object.entries(audit.assetStrategies);
+  if (strategies.length) {
+    console.log(`   📥 Assets fetched via: ${strategies.map(([name, count]) => `${name} ${count}`).join(', ')}`);
+  }
 
   return audit;
 }
 
-// ─── Recursive page exporter ──────────────────────────────────────────────────
+// ─── Export plan ──────────────────────────────────────────────────────────────
+
+/**
+ * Walk the manifest tree and decide where every page will be written.
+ * No browser needed — this is pure path arithmetic over the manifest.
+ *
+ * Names are allocated for every page, filtered or not, so a page gets the
+ * same path whatever --workspace/--page filters a run uses.
+ *
+ * @param {object} manifest
+ * @param {string} outputRoot
+ * @param {object} [opts]
+ * @param {string|null} [opts.workspaceFilter]
+ * @param {string|null} [opts.pageFilter]
+ * @param {object} [opts.previousPaths]  - `paths` from export-state.json, to keep names stable
+ * @param {object} [opts.layout]         - From layouts.resolveLayout
+ * @param {string[]} [opts.generatedDirs] - Folders the exporter writes next to the workspace
+ *                                         folders (people, components); workspaces avoid their names
+ * @param {string} [opts.assetStore]     - 'page' (default): _assets next to each page;
+ *                                         'workspace'/'vault': one shared _assets per workspace / in the content root
+ * @returns {{ jobs: object[], allJobs: object[], skipped: object[], paths: object }}
+ *   jobs    - { workspace, pageEntry, dir, filename, assetsDir, depth, breadcrumb, … } to export, in manifest order
+ *   allJobs - every page in the manifest, ignoring filters (for navigation files)
+ *   skipped - workspaces/pages excluded by the filters
+ *   paths   - page key → { title, name, file } for every page/workspace
+ */
+export function planExport(manifest, outputRoot, opts = {}) {
+  const {
+    workspaceFilter = null,
+    pageFilter = null,
+    previousPaths = {},
+    layout = resolveLayout(),
+    generatedDirs = [],
+    assetStore = 'page',
+  } = opts;
+  const plan = { jobs: [], allJobs: [], skipped: [], paths: {} };
+  const folderNoteName = path.basename(layout.folderNote, path.extname(layout.folderNote));
+  const names = createNameAllocator(previousPaths, [folderNoteName, ...RESERVED_NAMES]);
+  const contentRoot = path.join(outputRoot, layout.contentDir);
+
+  // Generated folders sit next to the workspace folders: claim their names first
+  // (a name like "_components" can't clash, since page names never start with "_")
+  for (const dir of generatedDirs) {
+    if (toSafeName(dir) === dir.toLowerCase()) names.claim(contentRoot, `generated:${dir}`, dir);
+  }
+
+  const workspaces = manifest.workspaces || [];
+  for (const workspace of workspaces) {
+    names.reserve(contentRoot, workspaceKey(workspace), workspace.title);
+  }
+
+  for (const workspace of workspaces) {
+    const included = !workspaceFilter || matchFilter(workspace.title, workspaceFilter);
+    if (!included) plan.skipped.push({ type: 'workspace', title: workspace.title });
+
+    const key = workspaceKey(workspace);
+    const name = names.claim(contentRoot, key, workspace.title);
+    const wsDir = path.join(contentRoot, name);
+    plan.paths[key] = { title: workspace.title, name, file: path.relative(outputRoot, wsDir) };
+
+    planPageList(workspace.pages, wsDir, plan, {
+      workspace,
+      workspaceDir: wsDir,
+      sharedAssetsDir: assetStore === 'vault' ? path.join(contentRoot, '_assets')
+        : assetStore === 'workspace' ? path.join(wsDir, '_assets') : null,
+      included,
+      pageFilter,
+      depth: 0,
+      breadcrumb: [],
+      names,
+      outputRoot,
+      folderNote: layout.folderNote,
+    });
+  }
+
+  return plan;
+}
 
 /**
- * Export a flat list of pages (all siblings at the same parent level).
- * Recurses for pages that have children.
+ * Plan a list of sibling pages. Pages with children become a folder whose
+ * own content goes in the layout's folder note; leaves become <name>.md in
+ * the current dir.
  */
-async function exportPageList(page, pages, dirPath, assetContext, audit, opts) {
-  const { verbose, pageFilter, depth } = opts;
+function planPageList(pages, dirPath, plan, opts) {
+  const {
+    workspace,
+    workspaceDir,
+    sharedAssetsDir,
+    included,
+    pageFilter,
+    depth,
+    breadcrumb,
+    names,
+    outputRoot,
+    folderNote,
+  } = opts;
   if (!Array.isArray(pages)) return;
 
-  // Separate top-level pages (no children) from those with children
-  for (const pageEntry of pages) {
-    if (pageFilter && !matchFilter(pageEntry.title, pageFilter)) {
-      audit.skipped.push({ type: 'page', title: pageEntry.title });
-      continue;
-    }
+  // Names from the previous run win over newcomers, whatever the manifest order
+  for (const pageEntry of pages) names.reserve(dirPath, pageKey(pageEntry), pageEntry.title);
 
-    const slug = toSlug(pageEntry.title);
-    const hasChildren = Array.isArray(pageEntry.childPages) && pageEntry.childPages.length > 0;
+  pages.forEach((pageEntry, index) => {
+    const pageIncluded = included && (!pageFilter || matchFilter(pageEntry.title, pageFilter));
+    if (included && !pageIncluded) plan.skipped.push({ type: 'page', title: pageEntry.title });
 
-    if (hasChildren) {
-      // Create a sub-folder; the page's own content goes in index.md
-      const subDir = path.join(dirPath, slug);
-      mkdirSync(subDir, { recursive: true });
-      const assetsDir = path.join(subDir, '_assets');
+    const key = pageKey(pageEntry);
+    const name = names.claim(dirPath, key, pageEntry.title);
+    const hasChildren = Array.isArray(pageEntry.childPages) && pageEntry.childPages.length > 0;
 
-      await exportSinglePage(page, pageEntry, subDir, 'index.md', assetsDir, assetContext, audit, verbose);
+    // Pages with children get a sub-folder and their content goes in the folder note;
+    // leaves are <name>.md in the current dir
+    const dir = hasChildren ? path.join(dirPath, name) : dirPath;
+    const job = {
+      workspace,
+      workspaceDir,
+      pageEntry,
+      dir,
+      filename: hasChildren ? folderNote : `${name}.md`,
+      assetsDir: sharedAssetsDir || path.join(dir, '_assets'),
+      isFolder: hasChildren,
+      depth,
+      breadcrumb, // ancestor page titles, outermost first
+      position: index + 1,
+    };
+    plan.allJobs.push(job);
+    if (pageIncluded) plan.jobs.push(job);
+    plan.paths[key] = {
+      title: pageEntry.title,
+      name,
+      file: path.relative(outputRoot, path.join(job.dir, job.filename)),
+    };
 
-      // Recurse into children
-      await exportPageList(page, pageEntry.childPages, subDir, assetContext, audit, {
+    // Recurse into children (a filtered-out parent excludes its whole subtree)
+    if (hasChildren) {
+      planPageList(pageEntry.childPages, dir, plan, {
         ...opts,
+        included: pageIncluded,
         depth: depth + 1,
+        breadcrumb: [...breadcrumb, pageEntry.title],
       });
-    } else {
-      // Leaf page — write <slug>.md in current dir
-      const assetsDir = path.join(dirPath, '_assets');
-      await exportSinglePage(page, pageEntry, dirPath, `${slug}.md`, assetsDir, assetContext, audit, verbose);
+    }
+  });
+}
+
+function workspaceKey(workspace) {
+  return `workspace:${workspace.id || workspace.title}`;
+}
+
+/**
+ * Narrow a plan to the pages that failed in the previous audit report.
+ * Everything else moves to `plan.skipped` with reason "not-failed".
+ */
+function restrictToPreviousFailures(plan, outputRoot) {
+  const failedUrls = loadPreviousFailures(outputRoot);
+  plan.jobs = plan.jobs.filter((job) => {
+    if (failedUrls.has(job.pageEntry.url)) return true;
+    plan.skipped.push({ type: 'page', title: job.pageEntry.title, reason: 'not-failed' });
+    return false;
+  });
+}
+
+// ─── Dry run ──────────────────────────────────────────────────────────────────
+
+/**
+ * Print (and return) the file layout an export would produce, without
+ * opening a browser. Uses the same plan as runExport.
+ *
+ * @param {object} manifest
+ * @param {string} outputRoot
+ * @param {object} [opts]
+ * @param {string|null} [opts.workspaceFilter]
+ * @param {string|null} [opts.pageFilter]
+ * @param {boolean} [opts.retryFailed]
+ * @param {string|null} [opts.planFile]  - Also write the report as JSON here
+ * @param {object} [opts.layout]          - From layouts.resolveLayout
+ * @param {object} [opts.config]          - From config.loadConfig
+ * @returns {object} { pages, missingUrl, filtered, collisions }
+ */
+export function runDryRun(manifest, outputRoot, opts = {}) {
+  const {
+    workspaceFilter = null,
+    pageFilter = null,
+    retryFailed = false,
+    planFile = null,
+    layout = resolveLayout(),
+    config = DEFAULT_CONFIG,
+  } = opts;
+
+  const plan = planExport(manifest, outputRoot, {
+    workspaceFilter,
+    pageFilter,
+    previousPaths: loadState(outputRoot).paths,
+    layout,
+    generatedDirs: generatedDirs(config),
+    assetStore: config.assets?.store,
+  });
+  if (retryFailed) restrictToPreviousFailures(plan, outputRoot);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    outputRoot: path.resolve(outputRoot),
+    pages: [],
+    missingUrl: [],
+    filtered: plan.skipped,
+    collisions: [],
+  };
+
+  const byPath = new Map();
+  for (const job of plan.jobs) {
+    const file = path.relative(outputRoot, path.join(job.dir, job.filename));
+    const entry = {
+      workspace: job.workspace.title,
+      title: job.pageEntry.title,
+      url: job.pageEntry.url || null,
+      file,
+      assetsDir: path.relative(outputRoot, job.assetsDir),
+    };
+    report.pages.push(entry);
+    if (!entry.url) report.missingUrl.push(entry);
+
+    // Case-insensitive: macOS and Windows file systems treat Notes.md and notes.md as one file
+    const key = file.toLowerCase();
+    if (!byPath.has(key)) byPath.set(key, []);
+    byPath.get(key).push(entry);
+  }
+  for (const entries of byPath.values()) {
+    if (entries.length > 1) {
+      report.collisions.push({ file: entries[0].file, pages: entries.map((e) => ({ title: e.title, url: e.url })) });
     }
   }
+
+  printDryRun(report);
+
+  if (planFile) {
+    mkdirSync(path.dirname(planFile), { recursive: true });
+    writeFileSync(planFile, JSON.stringify(report, null, 2), 'utf8');
+    console.log(`\n🗺  Plan written → ${planFile}`);
+  }
+
+  return report;
 }
 
+function printDryRun(report) {
+  let currentWorkspace = null;
+  for (const entry of report.pages) {
+    if (entry.workspace !== currentWorkspace) {
+      currentWorkspace = entry.workspace;
+      console.log(`\n📂 ${currentWorkspace}`);
+    }
+    const flag = entry.url ? '' : '  ⚠️  no URL';
+    console.log(`  📄 "${entry.title}" → ${entry.file}${flag}`);
+    console.log(`       assets: ${entry.assetsDir}${path.sep}`);
+  }
+
+  if (report.collisions.length) {
+    console.log(`\n💥 ${report.collisions.length} path collision(s) — later pages would overwrite earlier ones:`);
+    for (const c of report.collisions) {
+      console.log(`   ${c.file}`);
+      for (const p of c.pages) console.log(`     · "${p.title}"${p.url ? ` (${p.url})` : ''}`);
+    }
+  }
+
+  if (report.filtered.length) {
+    console.log(`\n⏭️  ${report.filtered.length} workspace(s)/page(s) filtered out:`);
+    for (const f of report.filtered) {
+      console.log(`   · ${f.type} "${f.title}"${f.reason ? ` (${f.reason})` : ''}`);
+    }
+  }
+
+  console.log('\n🧪 Dry run — no browser opened, no pages written.');
+  console.log(`   📄 Pages planned: ${report.pages.length}`);
+  console.log(`   ⚠️  Without URL:   ${report.missingUrl.length}`);
+  console.log(`   ⏭️  Filtered out:  ${report.filtered.length}`);
+  console.log(`   💥 Collisions:    ${report.collisions.length}`);
+}
+
+/**
+ * Run `fn` over `jobs` with one worker per tab. Each worker pulls the next
+ * unclaimed job, so a slow page never holds up the others.
+ */
+async function runWorkers(jobs, tabs, fn) {
+  let next = 0;
+  await Promise.all(tabs.map(async (tab, tabIndex) => {
+    while (next < jobs.length) {
+      const index = next++;
+      await fn(jobs[index], index, tab, tabIndex);
+    }
+  }));
+}
+
+// ─── Single page exporter ─────────────────────────────────────────────────────
+
 /**
- * Navigate to a single page and export its content.
+ * Export a single page, retrying retryable failures with exponential backoff.
+ * @returns {Promise<{ bucket: 'exported'|'failed'|'unchanged', entry: object }>}
+ *   The audit list this page belongs in, plus its entry. The caller merges
+ *   these in manifest order so the audit doesn't depend on tab timing.
  */
-async function exportSinglePage(page, pageEntry, dir, filename, assetsDir, assetContext, audit, verbose) {
+async function exportSinglePage(page, job, assetContext, opts) {
+  const { pageEntry, dir, filename } = job;
+  const { verbose, state, outputRoot, resume, retries = 0, retryDelay = 0, tag = '' } = opts;
   const fullPath = path.join(dir, filename);
-  console.log(`  📄 "${pageEntry.title}" → ${path.relative(process.cwd(), fullPath)}`);
+  console.log(`  ${tag}📄 "${pageEntry.title}" → ${path.relative(process.cwd(), fullPath)}`);
 
   if (!pageEntry.url) {
-    audit.failed.push({ title: pageEntry.title, reason: 'No URL in manifest' });
-    console.warn(`     ⚠️  Skipped — no URL`);
-    return;
+    console.warn(`     ${tag}⚠️  Skipped — no URL`);
+    return {
+      bucket: 'failed',
+      entry: { title: pageEntry.title, category: FAILURE.MISSING_URL, reason: 'No URL in manifest', attempts: 0 },
+    };
   }
 
-  try {
-    // Navigate to the page
-    // Loop is a heavy SPA and often never reaches true "networkidle".
-    // Prefer domcontentloaded and then wait for the page shell/content.
-    await page.goto(pageEntry.url, { waitUntil: 'domcontentloaded', timeout: 180_000 });
-    await setTimeout(2000);
+  const previous = getPageState(state, pageEntry);
+  const previousIsOnDisk = Boolean(
+    previous && previous.file === path.relative(outputRoot, fullPath) && existsSync(fullPath)
+  );
 
-    // Extract page title from DOM (may be more accurate than sidebar label)
-    const titleEl = await findFirst(page, PAGE_TITLE_SELECTORS, 3000);
-    const domTitle = titleEl ? (await titleEl.innerText().catch(() => null))?.trim() : null;
-    const finalTitle = domTitle || pageEntry.title;
+  if (resume && previousIsOnDisk) {
+    if (verbose) console.log(`     ${tag}💤 Already exported at ${previous.exportedAt} — skipping (--resume)`);
+    return {
+      bucket: 'unchanged',
+      entry: { title: pageEntry.title, url: pageEntry.url, file: fullPath, reason: 'resume' },
+    };
+  }
 
-    // Extract page content HTML
-    const contentEl = await findFirst(page, PAGE_CONTENT_SELECTORS, 5000);
-    let html = '';
-    if (contentEl) {
-      html = await contentEl.innerHTML().catch(() => '');
-    } else {
-      // Fallback: grab <main> or <body>
-      html = await page.$eval('main, [role="main"], body', (el) => el.innerHTML).catch(() => '');
-      if (verbose) console.log(`     ⚠️  Content area not found via primary selectors, used fallback`);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await exportPageAttempt(page, job, assetContext, { ...opts, previous, previousIsOnDisk });
+    } catch (err) {
+      const category = classifyFailure(err);
+      if (attempt <= retries && isRetryable(category)) {
+        const wait = backoffDelay(attempt, retryDelay);
+        console.warn(`     ${tag}🔁 ${category}: ${err.message} — retry ${attempt}/${retries} in ${wait}ms`);
+        await setTimeout(wait);
+        continue;
+      }
+
+      console.error(`     ${tag}❌ Failed (${category}): ${err.message}`);
+      return {
+        bucket: 'failed',
+        entry: {
+          title: pageEntry.title,
+          url: pageEntry.url,
+          file: fullPath,
+          category,
+          reason: err.message,
+          attempts: attempt,
+        },
+      };
     }
+  }
+}
+
+/**
+ * One attempt at navigating to a page and writing its Markdown.
+ * Throws (with a failure category where known) instead of recording failures.
+ */
+async function exportPageAttempt(page, job, sharedAssetContext, opts) {
+  const { pageEntry, dir, filename, assetsDir } = job;
+  const {
+    verbose,
+    state,
+    outputRoot,
+    changedOnly,
+    previous,
+    previousIsOnDisk,
+    linkIndex,
+    layout,
+    frontmatter,
+    tablesCsv,
+    people,
+    components,
+    assetStore,
+    attachments,
+    includeComments,
+    plugins,
+    dateStyle,
+    tag = '',
+  } = opts;
+  const fullPath = path.join(dir, filename);
+  const relFile = path.relative(outputRoot, fullPath);
+  // This tab can fetch assets in-page; downloads per strategy are counted for the audit
+  const assetContext = { ...sharedAssetContext, page, strategies: {} };
+
+  // Navigate to the page
+  // Loop is a heavy SPA and often never reaches true "networkidle".
+  // Prefer domcontentloaded and then wait for the page shell/content.
+  await page.goto(pageEntry.url, { waitUntil: 'domcontentloaded', timeout: 180_000 });
+  await setTimeout(2000);
+  if (isLoginUrl(page.url())) {
+    throw failure(FAILURE.AUTH_EXPIRED, 'Redirected to Microsoft sign-in — session expired (run "loop-export auth")');
+  }
+
+  // Extract page title from DOM (may be more accurate than sidebar label)
+  const titleEl = await findFirst(page, PAGE_TITLE_SELECTORS, 3000);
+  const domTitle = titleEl ? (await titleEl.innerText().catch(() => null))?.trim() : null;
+  const finalTitle = domTitle || pageEntry.title;
+
+  // Extract page content HTML
+  const contentEl = await findFirst(page, PAGE_CONTENT_SELECTORS, 5000);
+  let html = '';
+  if (contentEl) {
+    html = await contentEl.innerHTML().catch(() => '');
+  } else {
+    // Fallback: grab <main> or <body>
+    html = await page.$eval('main, [role="main"], body', (el) => el.innerHTML).catch(() => '');
+    if (verbose) console.log(`     ${tag}⚠️  Content area not found via primary selectors, used fallback`);
+  }
+  if (!html.trim()) {
+    throw failure(FAILURE.CONTENT_NOT_FOUND, 'Page content area not found or empty');
+  }
+
+  // Comments and reactions live outside the content element; they count as content for --changed-only
+  const discussion = includeComments ? await extractDiscussion(page) : null;
+  if (verbose && discussion?.threads.length) {
+    console.log(`     ${tag}💬 ${discussion.threads.length} comment thread(s)`);
+  }
+
+  // So do the page icon and cover image
+  const header = await extractPageMeta(page);
+  const extras = [
+    header.icon || header.cover ? JSON.stringify({ icon: header.icon, cover: header.cover }) : '',
+    discussion ? JSON.stringify(discussion) : '',
+  ].filter(Boolean);
+  const hash = contentHash(finalTitle, [html, ...extras].join('\n'));
+  if (changedOnly && previousIsOnDisk && previous.contentHash === hash) {
+    console.log(`     ${tag}💤 Unchanged since ${previous.exportedAt}`);
+    return {
+      bucket: 'unchanged',
+      entry: { title: finalTitle, url: pageEntry.url, file: fullPath, reason: 'content-unchanged' },
+    };
+  }
+
+  // Point links to other Loop pages at their exported files
+  const links = rewriteLoopLinks(html, fullPath, linkIndex, { outputRoot, linkStyle: layout.linkStyle });
+  if (verbose && links.rewritten) console.log(`     ${tag}🔗 Rewrote ${links.rewritten} internal link(s)`);
+  if (links.unresolved.length) {
+    console.warn(`     ${tag}⚠️  ${links.unresolved.length} Loop link(s) not pointing at an exported page`);
+  }
 
-    // Download images and rewrite paths
-    const { html: rewrittenHtml, downloaded, failed: failedAssets } = await rewriteImages(html, assetsDir, assetContext);
-    if (verbose && downloaded.length) {
-      console.log(`     🖼  Downloaded ${downloaded.length} asset(s)`);
+  // Download images and rewrite paths
+  const pageAssets = assetStore?.forPage(fullPath, assetsDir);
+  let assets;
+  try {
+    assets = await rewriteImages(links.html, assetsDir, assetContext, { store: pageAssets });
+  } catch (err) {
+    throw failure(FAILURE.ASSET_FAILURE, `Asset processing failed: ${err.message}`, err);
+  }
+  const { html: rewrittenHtml, downloaded, failed: failedAssets } = assets;
+
+  // The cover goes through the same assets dir; frontmatter points at the local copy
+  const cover = !header.cover ? null : pageAssets
+    ? await pageAssets.save(header.cover, assetContext)
+    : await downloadAsset(header.cover, assetsDir, assetContext);
+  if (cover) downloaded.push(header.cover);
+  else if (header.cover) failedAssets.push(header.cover);
+  if (verbose && downloaded.length) {
+    console.log(`     ${tag}🖼  Downloaded ${downloaded.length} asset(s)`);
+  }
+  if (failedAssets.length) {
+    console.warn(`     ${tag}⚠️  ${failedAssets.length} asset(s) failed to download`);
+  }
+
+  // Files linked from the page (--attachments), into the same assets dir
+  let files = { html: rewrittenHtml, downloaded: [], skipped: [] };
+  if (attachments) {
+    try {
+      files = await rewriteAttachments(rewrittenHtml, {
+        ...attachments,
+        save: (url, downloadOpts) => (pageAssets
+          ? pageAssets.save(url, assetContext, downloadOpts)
+          : downloadAsset(url, assetsDir, assetContext, downloadOpts)),
+      });
+    } catch (err) {
+      throw failure(FAILURE.ASSET_FAILURE, `Attachment processing failed: ${err.message}`, err);
     }
-    if (failedAssets.length) {
-      console.warn(`     ⚠️  ${failedAssets.length} asset(s) failed to download`);
+    if (verbose && files.downloaded.length) {
+      console.log(`     ${tag}📎 Downloaded ${files.downloaded.length} attachment(s)`);
     }
+    if (files.skipped.length) {
+      console.warn(`     ${tag}⚠️  ${files.skipped.length} attachment(s) not downloaded — left as links`);
+    }
+  }
 
-    // Convert to Markdown
-    const markdown = htmlToMarkdown(rewrittenHtml, finalTitle, pageEntry.url);
+  // Convert to Markdown
+  const meta = {
+    title: finalTitle,
+    source: pageEntry.url,
+    workspace: job.workspace.title,
+    breadcrumb: [job.workspace.title, ...job.breadcrumb],
+    id: pageEntry.id,
+    parentId: pageEntry.parentId,
+    depth: job.depth,
+    created: pageEntry.created,
+    modified: pageEntry.modified || header.modified,
+    authors: pageEntry.authors?.length ? pageEntry.authors : header.authors,
+    tags: [...new Set([...frontmatter.tags, ...(pageEntry.tags || [])])],
+    reactions: discussion?.reactions,
+    icon: header.icon,
+    cover,
+    position: job.position,
+  };
+  const tables = [];
+  const mentions = [];
+  const embedded = [];
+  let markdown;
+  try {
+    markdown = htmlToMarkdown(files.html, meta, {
+      frontmatterKeys: frontmatter.keys,
+      frontmatterExtra: frontmatter.extra,
+      calloutStyle: layout.calloutStyle,
+      highlightStyle: layout.highlightStyle,
+      texMath: layout.texMath,
+      dateStyle,
+      tables,
+      mentions,
+      mentionFormat: people ? (person) => people.mention(person, fullPath) : null,
+      components: embedded,
+      componentEmbed: components ? (component) => components.embed(component, fullPath, pageKey(pageEntry)) : null,
+      commentFootnotes: includeComments === 'footnotes' ? discussion.threads : null,
+      plugins,
+    });
+  } catch (err) {
+    // Plugin errors are already tagged, and the component store's writes can hit disk errors
+    if (err.category || classifyFailure(err) === FAILURE.WRITE_ERROR) throw err;
+    throw failure(FAILURE.CONVERSION_ERROR, `Conversion failed: ${err.message}`, err);
+  }
 
-    // Write file
+  // Write file (+ one CSV per table next to it with --tables-csv, + <page>.comments.md)
+  const sidecars = tablesCsv
+    ? tables.map((table, i) => ({
+      file: path.join(dir, `${path.basename(filename, '.md')}.table-${i + 1}.csv`),
+      content: toCsv([table.header, ...table.rows]),
+    }))
+    : [];
+  const csvCount = sidecars.length;
+  if (includeComments === 'sidecar' && discussion.threads.length) {
+    const file = path.join(dir, `${path.basename(filename, '.md')}.comments.md`);
+    const link = formatLink(finalTitle, fullPath, file, { outputRoot, linkStyle: layout.linkStyle });
+    sidecars.push({ file, content: buildCommentsSidecar(discussion.threads, { title: finalTitle, source: pageEntry.url, link }) });
+  }
+  try {
     mkdirSync(dir, { recursive: true });
     writeFileSync(fullPath, markdown, 'utf8');
+    for (const { file, content } of sidecars) writeFileSync(file, content, 'utf8');
+  } catch (err) {
+    throw failure(FAILURE.WRITE_ERROR, `Could not write ${fullPath}: ${err.message}`, err);
+  }
+  if (verbose && csvCount) console.log(`     ${tag}📑 Wrote ${csvCount} table CSV file(s)`);
 
-    audit.exported.push({
+  recordPage(state, pageEntry, { title: finalTitle, file: relFile, contentHash: hash, icon: header.icon || undefined });
+  people?.recordPage(pageKey(pageEntry), mentions);
+  components?.recordPage(pageKey(pageEntry), embedded, fullPath);
+  assetStore?.recordPage(pageKey(pageEntry), pageAssets.files);
+  saveState(outputRoot, state);
+
+  return {
+    bucket: 'exported',
+    entry: {
       title: finalTitle,
       url: pageEntry.url,
       file: fullPath,
       assetsDownloaded: downloaded.length,
       assetsFailed: failedAssets.length,
-    });
-  } catch (err) {
-    console.error(`     ❌ Failed: ${err.message}`);
-    audit.failed.push({
-      title: pageEntry.title,
-      url: pageEntry.url,
-      reason: err.message,
-    });
+      linksRewritten: links.rewritten,
+      unresolvedLinks: links.unresolved,
+      tables: tables.length,
+      mentions: mentions.length,
+      sharedComponents: embedded.length,
+      commentThreads: discussion ? discussion.threads.length : undefined,
+      attachmentsDownloaded: attachments ? files.downloaded.length : undefined,
+      attachmentsSkipped: attachments ? files.skipped : undefined,
+      assetStrategies: assetContext.strategies,
+    },
+  };
+}
+
+/**
+ * Authors, last-modified time, emoji icon and cover image URL from the page
+ * header, when Loop shows them. Best effort: missing elements just leave the
+ * fields empty.
+ * @returns {Promise<{ authors: string[], modified: string|null, icon: string|null, cover: string|null }>}
+ */
+async function extractPageMeta(page) {
+  const meta = { authors: [], modified: null, icon: null, cover: null };
+
+  for (const sel of PAGE_AUTHOR_SELECTORS) {
+    const names = await page
+      .$$eval(sel, (els) => els.map((el) => el.getAttribute('aria-label')))
+      .catch(() => []);
+    const cleaned = names
+      .map((name) => (name || '').replace(/\s*\(.*?\)\s*$/, '').split(',')[0].trim())
+      .filter(Boolean);
+    if (cleaned.length) {
+      meta.authors = [...new Set(cleaned)];
+      break;
+    }
+  }
+
+  for (const sel of PAGE_MODIFIED_SELECTORS) {
+    const datetime = await page.$eval(sel, (el) => el.getAttribute('datetime')).catch(() => null);
+    if (datetime && !Number.isNaN(Date.parse(datetime))) {
+      meta.modified = new Date(datetime).toISOString();
+      break;
+    }
+  }
+
+  for (const sel of PAGE_ICON_SELECTORS) {
+    const label = await page
+      .$eval(sel, (el) => `${el.textContent || ''} ${el.getAttribute('aria-label') || ''} ${el.getAttribute('alt') || ''}`)
+      .catch(() => '');
+    // Just the emoji (with its modifiers/ZWJ parts), not "Page icon: …"
+    const emoji = label.match(/\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic}\uFE0F?)*/u)?.[0];
+    if (emoji) {
+      meta.icon = emoji;
+      break;
+    }
+  }
+
+  for (const sel of PAGE_COVER_SELECTORS) {
+    const src = await page
+      .$eval(sel, (el) => {
+        if (el.tagName === 'IMG') return el.currentSrc || el.src;
+        const url = getComputedStyle(el).backgroundImage.match(/url\(["']?(.*?)["']?\)/);
+        return url ? new URL(url[1], document.baseURI).href : null;
+      })
+      .catch(() => null);
+    if (src) {
+      meta.cover = src;
+      break;
+    }
   }
+
+  return meta;
+}
+
+// ─── Previous audit ───────────────────────────────────────────────────────────
+
+/**
+ * URLs of the pages that failed in the previous run's audit-report.json.
+ * @param {string} outputRoot
+ * @returns {Set<string>}
+ */
+function loadPreviousFailures(outputRoot) {
+  const auditPath = path.join(outputRoot, AUDIT_FILENAME);
+  if (!existsSync(auditPath)) {
+    throw new Error(
+      `${AUDIT_FILENAME} not found at ${auditPath}.\n` +
+      `Run "loop-export export" once before using --retry-failed.`
+    );
+  }
+  const previous = JSON.parse(readFileSync(auditPath, 'utf8'));
+  const failed = Array.isArray(previous?.failed) ? previous.failed : [];
+  return new Set(failed.map((f) => f?.url).filter(Boolean));
 }
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
+/** Folders under the content root the config asks the exporter to generate. */
+function generatedDirs(config) {
+  return [config.people?.dir, config.components?.transclude && config.components.dir].filter(Boolean);
+}
+
 function matchFilter(title, filter) {
   return title.toLowerCase().includes(filter.toLowerCase());
 }
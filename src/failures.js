@@ -0,0 +1,82 @@
+/**
+ * failures.js — Classify page export failures for retries and the audit report.
+ *
+ * Throw sites tag errors with a category via `failure()`. Anything untagged
+ * (Playwright timeouts, fs errors, …) is classified from its name/code/message.
+ */
+
+export const FAILURE = Object.freeze({
+  MISSING_URL: 'missing-url',
+  NAVIGATION_TIMEOUT: 'navigation-timeout',
+  NAVIGATION_ERROR: 'navigation-error',
+  CONTENT_NOT_FOUND: 'content-not-found',
+  AUTH_EXPIRED: 'auth-expired',
+  ASSET_FAILURE: 'asset-failure',
+  WRITE_ERROR: 'write-error',
+  CONVERSION_ERROR: 'conversion-error',
+  UNKNOWN: 'unknown',
+});
+
+// Retrying these can't help: the manifest, the session, the disk or a plugin needs
+// fixing first (conversion is deterministic: the same HTML fails the same way).
+const NOT_RETRYABLE = new Set([
+  FAILURE.MISSING_URL,
+  FAILURE.AUTH_EXPIRED,
+  FAILURE.WRITE_ERROR,
+  FAILURE.CONVERSION_ERROR,
+]);
+
+const WRITE_ERROR_CODES = new Set(['EACCES', 'EPERM', 'ENOSPC', 'EROFS', 'EISDIR', 'ENOTDIR', 'ENAMETOOLONG', 'EMFILE']);
+
+/**
+ * Create an Error tagged with a failure category.
+ * @param {string} category  - One of FAILURE.*
+ * @param {string} message
+ * @param {Error} [cause]
+ */
+export function failure(category, message, cause) {
+  const err = new Error(message, cause ? { cause } : undefined);
+  err.category = category;
+  return err;
+}
+
+/**
+ * Work out the failure category of an error thrown while exporting a page.
+ * @param {Error} err
+ * @returns {string} One of FAILURE.*
+ */
+export function classifyFailure(err) {
+  if (err?.category) return err.category;
+  if (WRITE_ERROR_CODES.has(err?.code)) return FAILURE.WRITE_ERROR;
+
+  const message = err?.message || '';
+  if (err?.name === 'TimeoutError' || /Timeout \d+ms exceeded/i.test(message)) {
+    return FAILURE.NAVIGATION_TIMEOUT;
+  }
+  if (/net::ERR_|NS_ERROR_|Navigation failed/i.test(message)) return FAILURE.NAVIGATION_ERROR;
+  if (/login\.microsoftonline|login\.live\.com/i.test(message)) return FAILURE.AUTH_EXPIRED;
+  return FAILURE.UNKNOWN;
+}
+
+/** Whether a page that failed with `category` is worth another attempt. */
+export function isRetryable(category) {
+  return !NOT_RETRYABLE.has(category);
+}
+
+/**
+ * Exponential backoff: baseDelay, 2×baseDelay, 4×baseDelay, …
+ * @param {number} attempt   - 1-based number of the attempt that just failed
+ * @param {number} baseDelay - ms
+ * @param {object} [opts]
+ * @param {number} [opts.jitter] - Spread each delay by ±this fraction (0.25: ±25%), so
+ *                                 many requests failing together don't retry in lockstep
+ */
+export function backoffDelay(attempt, baseDelay, { jitter = 0 } = {}) {
+  const spread = jitter ? 1 - jitter + Math.random() * 2 * jitter : 1;
+  return Math.round(baseDelay * 2 ** (attempt - 1) * spread);
+}
+
+/** True when the URL is a Microsoft sign-in page, i.e. Loop bounced us out of the session. */
+export function isLoginUrl(url) {
+  return Boolean(url) && (url.includes('login.microsoftonline') || url.includes('login.live.com'));
+}
@@ -0,0 +1,61 @@
+/**
+ * helpers.js — Small DOM, HTML and path helpers shared by the converters and
+ * the exporter.
+ */
+
+import path from 'path';
+
+// ─── DOM ──────────────────────────────────────────────────────────────────────
+
+/** Whether `node` is an element matching any of the CSS selectors. */
+export function matchesAny(node, selectors) {
+  return node.nodeType === 1 && selectors.some((sel) => node.matches(sel));
+}
+
+/** `node` or its nearest ancestor element matching any of the selectors, or null. */
+export function closestAny(node, selectors) {
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    if (matchesAny(el, selectors)) return el;
+  }
+  return null;
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Decode the entities found in serialized HTML text and attributes: the named
+ * ones Loop emits and numeric ones. Non-breaking spaces become plain spaces.
+ * @param {string} str
+ * @returns {string}
+ */
+export function decodeEntities(str) {
+  return str
+    .replace(/&nbsp;|&#160;|&#xa0;/gi, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (entity, n) => fromCodePoint(Number(n), entity))
+    .replace(/&#x([0-9a-f]+);/gi, (entity, n) => fromCodePoint(parseInt(n, 16), entity))
+    .replace(/&amp;/g, '&')
+    .replace(/\u00a0/g, ' ');
+}
+
+/** Escape a value for a double-quoted HTML attribute. */
+export function escapeAttribute(str) {
+  return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+// Out-of-range code points and lone surrogates would throw or garble the text:
+// such entities are kept as written
+function fromCodePoint(code, entity) {
+  if (code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return entity;
+  return String.fromCodePoint(code);
+}
+
+// ─── Paths ────────────────────────────────────────────────────────────────────
+
+/** A filesystem path with forward slashes, for links and state files. */
+export function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
@@ -3,12 +3,13 @@
  *
  * Returns a manifest object (also written to manifest.json) with shape:
  * {
+ *   schemaVersion: 2,
  *   generatedAt: ISO string,
  *   workspaces: [
  *     {
  *       id, title, url,
  *       pages: [
- *         { id, title, url, depth, parentId, children: [...] }
+ *         { id, title, url, depth, parentId, childPages: [ ...nested pages ] }
  *       ]
  *     }
  *   ]
@@ -38,6 +39,7 @@ import {
   safeAttr,
 } from './selectors.js';
 import { LOOP_URL } from './browser.js';
+import { MANIFEST_SCHEMA_VERSION, buildPageTree, countPages } from './manifest.js';
 
 // ─── Main inventory entry point ───────────────────────────────────────────────
 
@@ -80,6 +82,7 @@ export async function runInventory(page, { outputDir, verbose = false }) {
 
   // ── Step 3: Build manifest ────────────────────────────────────────────────
   const manifest = {
+    schemaVersion: MANIFEST_SCHEMA_VERSION,
     generatedAt: new Date().toISOString(),
     loopUrl: LOOP_URL,
     totalWorkspaces: workspaceData.length,
@@ -242,7 +245,7 @@ async function getExpandableSidebarRoot(page) {
 
 /**
  * Walk the page tree in the expandable sidebar (the one that appears when a workspace is open).
- * Returns a flat list annotated with depth/parentId, plus a nested `children` field.
+ * Returns the root pages; sub-pages are nested under each page's `childPages`.
  */
 async function enumeratePages(page, workspace, verbose) {
   const sidebarRoot = await getExpandableSidebarRoot(page);
@@ -261,7 +264,7 @@ async function enumeratePages(page, workspace, verbose) {
 
   if (!allItems.length) {
     log('  ⚠️  No page items found. Trying API intercept for pages…');
-    return await apiInterceptPages(page, workspace, verbose);
+    return buildPageTree(await apiInterceptPages(page, workspace, verbose));
   }
 
   // Build page list from DOM items
@@ -298,7 +301,6 @@ async function enumeratePages(page, workspace, verbose) {
         url,
         depth,
         parentId: null, // will be resolved below
-        children: [],
       });
 
       if (verbose) log(`  page[${depth}] "${title}" → ${url || href || '?'}`);
@@ -307,10 +309,10 @@ async function enumeratePages(page, workspace, verbose) {
     }
   }
 
-  // Resolve parent/child relationships by depth
+  // Resolve parent/child relationships by depth, then nest
   resolveParents(pages);
 
-  return pages;
+  return buildPageTree(pages);
 }
 
 /**
@@ -417,7 +419,9 @@ async function apiInterceptPages(page, workspace, verbose) {
         url: item.webUrl || item.url || null,
         depth: 0,
         parentId: null,
-        children: [],
+        created: item.createdDateTime || null,
+        modified: item.lastModifiedDateTime || null,
+        authors: apiAuthors(item),
       });
     }
   }
@@ -425,6 +429,14 @@ async function apiInterceptPages(page, workspace, verbose) {
   return pages;
 }
 
+/** Display names of an API item's creator and last editor, deduplicated. */
+function apiAuthors(item) {
+  const names = [item.createdBy, item.lastModifiedBy]
+    .map((by) => by?.user?.displayName || by?.displayName || null)
+    .filter(Boolean);
+  return [...new Set(names)];
+}
+
 // ─── Tree helpers ─────────────────────────────────────────────────────────────
 
 /**
@@ -492,20 +504,12 @@ function resolveParents(pages) {
 
     if (stack.length) {
       page.parentId = stack[stack.length - 1].id;
-      // Add to parent's children array
-      const parent = pages.find((p) => p.id === page.parentId);
-      if (parent) parent.children.push(page.id);
     }
 
     stack.push({ depth: page.depth, id: page.id });
   }
 }
 
-function countPages(pages) {
-  if (!Array.isArray(pages)) return 0;
-  return pages.length;
-}
-
 /**
  * Force the page tree in the expandable sidebar to fully render (scroll + expand).
  * Scrolls and expands only within the sidebar root when provided.
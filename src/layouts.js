@@ -0,0 +1,266 @@
+/**
+ * layouts.js — Output layout profiles (obsidian | commonmark | mkdocs | docusaurus).
+ *
+ * A layout decides:
+ *   - the folder-note filename for pages with sub-pages (index.md, README.md…)
+ *   - the default link syntax between pages (wikilinks vs relative Markdown)
+ *   - where pages go under the output root (MkDocs/Docusaurus expect docs/)
+ *   - frontmatter key overrides (merged over markdown.js FRONTMATTER_FIELDS)
+ *   - callout and highlight syntax (see callouts.js)
+ *   - how shared components are embedded (see transclusion.js)
+ *   - navigation files: mkdocs.yml `nav`, Docusaurus `_category_.json`
+ *
+ * Folder notes for workspaces (which have no Loop page of their own) are
+ * generated here too, listing the workspace's top-level pages.
+ */
+
+import path from 'path';
+import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import { buildIndexMarkdown, resolveFrontmatterKeys } from './markdown.js';
+import { formatLink } from './links.js';
+import { yamlScalar } from './yaml.js';
+import { pageKey } from './state.js';
+import { toPosix } from './helpers.js';
+
+const NAV_MARKER = '# Generated by loop-export';
+
+export const LAYOUTS = {
+  obsidian: {
+    folderNote: 'index.md',
+    linkStyle: 'wikilink',
+    contentDir: '',
+    nav: null,
+    calloutStyle: 'obsidian',
+    highlightStyle: 'equals',
+    // Renders $…$ as TeX: literal dollars in text need escaping
+    texMath: true,
+    transclusion: 'embed',
+    frontmatterKeys: {},
+  },
+  commonmark: {
+    // README.md is what GitHub/GitLab/Gitea render when browsing a folder
+    folderNote: 'README.md',
+    linkStyle: 'markdown',
+    contentDir: '',
+    nav: null,
+    calloutStyle: 'github',
+    highlightStyle: 'html',
+    texMath: false,
+    // GitHub has no include syntax: a comment for include tools + a link
+    transclusion: 'link',
+    frontmatterKeys: {},
+  },
+  mkdocs: {
+    folderNote: 'index.md',
+    linkStyle: 'markdown',
+    contentDir: 'docs',
+    nav: 'mkdocs',
+    calloutStyle: 'admonition',
+    highlightStyle: 'html',
+    texMath: true,
+    transclusion: 'snippet',
+    frontmatterKeys: {},
+  },
+  docusaurus: {
+    // index.md inside a folder becomes the category's own page
+    folderNote: 'index.md',
+    linkStyle: 'markdown',
+    contentDir: 'docs',
+    nav: 'docusaurus',
+    calloutStyle: 'docusaurus',
+    highlightStyle: 'html',
+    texMath: false,
+    transclusion: 'mdx',
+    frontmatterKeys: { position: 'sidebar_position' },
+  },
+};
+
+export const LAYOUT_NAMES = Object.keys(LAYOUTS);
+
+/**
+ * Resolve a layout by name, applying CLI overrides (undefined = layout default).
+ * @param {string} name
+ * @param {object} [overrides]
+ * @param {string} [overrides.folderNote]
+ * @param {string} [overrides.linkStyle]
+ * @returns {object}
+ */
+export function resolveLayout(name = 'obsidian', overrides = {}) {
+  const base = LAYOUTS[name];
+  if (!base) {
+    throw new Error(`Unknown layout "${name}". Expected one of: ${LAYOUT_NAMES.join(', ')}`);
+  }
+  const layout = { name, ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && value !== null) layout[key] = value;
+  }
+  return layout;
+}
+
+/**
+ * Write workspace folder notes and the layout's navigation files.
+ * Uses the full (unfiltered) plan so navigation covers every page exported so
+ * far, not just this run's; pages not on disk yet are left out.
+ *
+ * @param {object} layout     - From resolveLayout
+ * @param {object} plan       - From exporter.planExport
+ * @param {string} outputRoot
+ * @param {object} [opts]
+ * @param {string} [opts.siteName]
+ * @param {object} [opts.frontmatterKeys]   - Resolved field → key map (default: layout's)
+ * @param {object} [opts.frontmatterExtra]  - Static frontmatter from the config file
+ * @param {boolean} [opts.snippets]         - Shared components are transcluded (mkdocs.yml
+ *                                            then enables pymdownx.snippets)
+ * @param {object} [opts.state]             - Export checkpoint; page icons are read from it
+ * @returns {string[]}        - Files written
+ */
+export function writeLayoutFiles(layout, plan, outputRoot, opts = {}) {
+  const {
+    siteName = 'Loop Export',
+    frontmatterKeys = resolveFrontmatterKeys(layout.frontmatterKeys),
+    frontmatterExtra = {},
+    snippets = false,
+    state = null,
+  } = opts;
+  const tree = pruneMissing(buildNavTree(plan, state));
+  const written = [];
+
+  for (const ws of tree) {
+    written.push(writeWorkspaceNote(layout, ws, outputRoot, { frontmatterKeys, frontmatterExtra }));
+  }
+
+  if (layout.nav === 'mkdocs') {
+    written.push(writeMkdocsNav(layout, tree, outputRoot, { siteName, snippets }));
+  } else if (layout.nav === 'docusaurus') {
+    written.push(...writeDocusaurusCategories(tree));
+  }
+
+  return written.filter(Boolean);
+}
+
+// ─── Nav tree ─────────────────────────────────────────────────────────────────
+
+/**
+ * Rebuild the workspace → page hierarchy from the flat, depth-first job list.
+ * @returns {{ title, url, dir, children: { title, icon, file, dir, children }[] }[]}
+ */
+function buildNavTree(plan, state) {
+  const workspaces = [];
+  const stack = [];
+  let current = null;
+
+  for (const job of plan.allJobs) {
+    if (!current || current.workspace !== job.workspace) {
+      current = {
+        workspace: job.workspace,
+        title: job.workspace.title,
+        url: job.workspace.url || null,
+        dir: job.workspaceDir,
+        children: [],
+      };
+      workspaces.push(current);
+      stack.length = 0;
+    }
+
+    const node = {
+      title: job.pageEntry.title,
+      icon: state?.pages[pageKey(job.pageEntry)]?.icon || null,
+      file: path.join(job.dir, job.filename),
+      dir: job.isFolder ? job.dir : null,
+      children: [],
+    };
+    stack.length = job.depth;
+    const parent = job.depth === 0 ? current : stack[job.depth - 1];
+    (parent?.children || current.children).push(node);
+    stack[job.depth] = node;
+  }
+
+  return workspaces;
+}
+
+/** Drop pages whose file doesn't exist (unless they have children that do), then empty workspaces. */
+function pruneMissing(workspaces) {
+  const prune = (nodes) => nodes
+    .map((node) => ({ ...node, exists: existsSync(node.file), children: prune(node.children) }))
+    .filter((node) => node.exists || node.children.length);
+  return workspaces
+    .map((ws) => ({ ...ws, children: prune(ws.children) }))
+    .filter((ws) => ws.children.length);
+}
+
+// ─── Folder notes ─────────────────────────────────────────────────────────────
+
+function writeWorkspaceNote(layout, ws, outputRoot, frontmatter) {
+  const file = path.join(ws.dir, layout.folderNote);
+  const children = ws.children.map((child) => ({
+    title: child.title,
+    icon: child.icon,
+    link: formatLink(child.title, child.file, file, { outputRoot, linkStyle: layout.linkStyle }),
+  }));
+  mkdirSync(ws.dir, { recursive: true });
+  const meta = { title: ws.title, source: ws.url, workspace: ws.title, id: ws.workspace.id };
+  writeFileSync(file, buildIndexMarkdown(meta, children, frontmatter), 'utf8');
+  return file;
+}
+
+// ─── MkDocs ───────────────────────────────────────────────────────────────────
+
+function writeMkdocsNav(layout, tree, outputRoot, { siteName, snippets }) {
+  const docsDir = path.join(outputRoot, layout.contentDir);
+  const lines = [
+    NAV_MARKER,
+    `site_name: ${yamlScalar(siteName)}`,
+    `docs_dir: ${yamlScalar(layout.contentDir)}`,
+    // Callouts are written as `!!! note` admonitions
+    'markdown_extensions:',
+    '  - admonition',
+    // Shared components are included with --8<-- "…" (paths from the docs dir)
+    ...(snippets ? ['  - pymdownx.snippets:', `      base_path: [${yamlScalar(layout.contentDir)}]`] : []),
+    'nav:',
+  ];
+
+  const emit = (nodes, indent) => {
+    for (const node of nodes) {
+      const rel = toPosix(path.relative(docsDir, node.file));
+      if (node.children.length) {
+        lines.push(`${indent}- ${yamlScalar(node.title)}:`);
+        if (node.exists) lines.push(`${indent}    - ${yamlScalar(rel)}`);
+        emit(node.children, `${indent}    `);
+      } else {
+        lines.push(`${indent}- ${yamlScalar(node.title)}: ${yamlScalar(rel)}`);
+      }
+    }
+  };
+
+  for (const ws of tree) {
+    const note = toPosix(path.relative(docsDir, path.join(ws.dir, layout.folderNote)));
+    lines.push(`  - ${yamlScalar(ws.title)}:`);
+    lines.push(`    - ${yamlScalar(note)}`);
+    emit(ws.children, '    ');
+  }
+
+  // Never clobber a hand-written mkdocs.yml; write the nav next to it instead
+  let file = path.join(outputRoot, 'mkdocs.yml');
+  if (existsSync(file) && !readFileSync(file, 'utf8').startsWith(NAV_MARKER)) {
+    file = path.join(outputRoot, 'mkdocs.nav.yml');
+    console.warn(`⚠️  mkdocs.yml was not generated by loop-export — nav written to ${file} instead.`);
+  }
+  writeFileSync(file, lines.join('\n') + '\n', 'utf8');
+  return file;
+}
+
+// ─── Docusaurus ───────────────────────────────────────────────────────────────
+
+function writeDocusaurusCategories(tree) {
+  const written = [];
+  const emit = (node, position) => {
+    if (!node.dir) return;
+    const file = path.join(node.dir, '_category_.json');
+    mkdirSync(node.dir, { recursive: true });
+    writeFileSync(file, JSON.stringify({ label: node.title, position }, null, 2) + '\n', 'utf8');
+    written.push(file);
+    node.children.forEach((child, i) => emit(child, i + 1));
+  };
+  tree.forEach((ws, i) => emit(ws, i + 1));
+  return written;
+}
@@ -0,0 +1,134 @@
+/**
+ * links.js — Rewrite links between Loop pages into links between exported files.
+ *
+ * Loop pages link to each other with loop.cloud.microsoft / loop.microsoft.com
+ * URLs that need a login. The exporter builds a URL → output file index from
+ * the planned paths (see state.js `paths`), and every anchor pointing at an
+ * exported page is rewritten to either:
+ *   - a relative Markdown link:  [Title](../other-page.md)
+ *   - an Obsidian wikilink:      [[workspace/other-page|Title]]
+ * Loop links that don't resolve to an exported page are left alone and
+ * reported back so they can go into the audit.
+ */
+
+import path from 'path';
+import { toPosix, decodeEntities, escapeAttribute } from './helpers.js';
+
+const LOOP_HOSTS = ['loop.cloud.microsoft', 'loop.microsoft.com'];
+
+export const LINK_STYLES = ['wikilink', 'markdown'];
+
+/** True for URLs on a Loop host. */
+export function isLoopUrl(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return LOOP_HOSTS.some((h) => host === h || host.endsWith(`.${h}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Canonical form of a Loop page URL, used as the index key.
+ * A page's identity lives in the path (`/p/<token>`) or, on the legacy
+ * host, in a hash route (`/#/…`); query strings carry view state only.
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function normalizeLoopUrl(url) {
+  try {
+    const u = new URL(url);
+    const pathname = u.pathname.replace(/\/+$/, '');
+    const route = u.hash.startsWith('#/') ? u.hash : '';
+    return `https://${u.hostname.toLowerCase()}${pathname}${route}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build the URL → exported file index.
+ * @param {Record<string, { title: string, file: string }>} paths
+ *   Planned paths keyed by page key; keys that are Loop URLs are indexed.
+ * @param {string} outputRoot
+ * @returns {Map<string, { title: string, file: string }>} file is absolute
+ */
+export function buildLinkIndex(paths, outputRoot) {
+  const index = new Map();
+  for (const [key, entry] of Object.entries(paths || {})) {
+    if (!entry?.file || !entry.file.endsWith('.md') || !isLoopUrl(key)) continue;
+    const normalized = normalizeLoopUrl(key);
+    if (normalized) index.set(normalized, { title: entry.title, file: path.join(outputRoot, entry.file) });
+  }
+  return index;
+}
+
+/**
+ * Rewrite <a href> links to other Loop pages in a page's HTML.
+ *
+ * @param {string} html
+ * @param {string} fromFile    - Absolute path of the .md file being written
+ * @param {Map} index          - From buildLinkIndex
+ * @param {object} opts
+ * @param {string} opts.outputRoot
+ * @param {'wikilink'|'markdown'} [opts.linkStyle]
+ * @returns {{ html: string, rewritten: number, unresolved: { url: string, text: string }[] }}
+ */
+export function rewriteLoopLinks(html, fromFile, index, { outputRoot, linkStyle = 'wikilink' }) {
+  const anchorRe = /<a(\s[^>]*?)?\shref="([^"]+)"([^>]*)>([\s\S]*?)<\/a>/gi;
+  const unresolved = [];
+  let rewritten = 0;
+
+  const result = (html || '').replace(anchorRe, (full, pre = '', rawHref, post, inner) => {
+    const href = decodeEntities(rawHref);
+    if (!isLoopUrl(href)) return full;
+
+    const target = index.get(normalizeLoopUrl(href));
+    if (!target) {
+      unresolved.push({ url: href, text: stripTags(inner).trim() });
+      return full;
+    }
+
+    rewritten++;
+    if (linkStyle === 'wikilink') {
+      // Vault-relative path without extension: unambiguous even with duplicate names
+      const vaultPath = toPosix(path.relative(outputRoot, target.file)).replace(/\.md$/, '');
+      return `<a${pre} href="${escapeAttribute(href)}" data-wikilink="${escapeAttribute(vaultPath)}"${post}>${inner}</a>`;
+    }
+
+    const relative = toPosix(path.relative(path.dirname(fromFile), target.file));
+    return `<a${pre} href="${escapeAttribute(encodeLinkPath(relative))}"${post}>${inner}</a>`;
+  });
+
+  return { html: result, rewritten, unresolved };
+}
+
+/**
+ * A Markdown link from one exported file to another, in the given style.
+ * @param {string} text
+ * @param {string} targetFile  - Absolute path of the linked .md file
+ * @param {string} fromFile    - Absolute path of the file containing the link
+ * @param {object} opts
+ * @param {string} opts.outputRoot
+ * @param {'wikilink'|'markdown'} [opts.linkStyle]
+ * @returns {string}
+ */
+export function formatLink(text, targetFile, fromFile, { outputRoot, linkStyle = 'wikilink' }) {
+  if (linkStyle === 'wikilink') {
+    const vaultPath = toPosix(path.relative(outputRoot, targetFile)).replace(/\.md$/, '');
+    return `[[${vaultPath}|${text.replace(/\|/g, '\\|')}]]`;
+  }
+  const relative = toPosix(path.relative(path.dirname(fromFile), targetFile));
+  return `[${text.replace(/([[\]])/g, '\\$1')}](${encodeLinkPath(relative)})`;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Percent-encode only what breaks a Markdown link destination; keep Unicode readable. */
+function encodeLinkPath(p) {
+  return p.replace(/[ ()<>]/g, (c) => encodeURIComponent(c));
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
@@ -3,11 +3,18 @@
  *
  * The manifest is the single source of truth produced by the inventory pass.
  * The export pass reads it (no need to re-crawl the sidebar).
+ *
+ * Schema history:
+ *   v1 (no schemaVersion) — `pages` is a flat list; `children` holds child IDs.
+ *   v2                    — `pages` holds root pages only; each page nests its
+ *                           sub-pages as full objects in `childPages`.
  */
 
 import { readFileSync, existsSync } from 'fs';
 import path from 'path';
 
+export const MANIFEST_SCHEMA_VERSION = 2;
+
 /**
  * Load manifest from disk.
  * @param {string} outputDir  - Dir containing manifest.json
@@ -22,7 +29,90 @@ export function loadManifest(outputDir) {
     );
   }
   const raw = readFileSync(manifestPath, 'utf8');
-  return JSON.parse(raw);
+  return upgradeManifest(JSON.parse(raw));
+}
+
+/**
+ * Upgrade an older manifest in place to the current schema.
+ * v1 manifests (flat `pages` + `parentId`) are rebuilt into a nested tree.
+ * @param {object} manifest
+ * @returns {object} The same manifest object, upgraded
+ */
+export function upgradeManifest(manifest) {
+  if (!manifest || typeof manifest !== 'object') return manifest;
+  const version = manifest.schemaVersion || 1;
+  if (version >= MANIFEST_SCHEMA_VERSION) return manifest;
+
+  for (const ws of manifest.workspaces || []) {
+    ws.pages = buildPageTree(ws.pages || []);
+  }
+  manifest.schemaVersion = MANIFEST_SCHEMA_VERSION;
+  manifest.totalPages = (manifest.workspaces || []).reduce((n, ws) => n + countPages(ws.pages), 0);
+  return manifest;
+}
+
+// ─── Page tree helpers ────────────────────────────────────────────────────────
+
+/**
+ * Turn a flat page list (each entry carrying `parentId`) into a nested tree.
+ * Sibling order follows the order of the flat list. Pages whose parent is
+ * missing from the list become roots so nothing is dropped, and so does the
+ * first page of any parent cycle (A → B → A), with a warning.
+ * @param {object[]} flatPages
+ * @returns {object[]} Root pages, each with a `childPages` array
+ */
+export function buildPageTree(flatPages) {
+  const nodes = flatPages.map(({ children, childPages, ...rest }) => ({ ...rest, childPages: [] }));
+  const byId = new Map();
+  for (const node of nodes) {
+    if (node.id && !byId.has(node.id)) byId.set(node.id, node);
+  }
+
+  const roots = [];
+  const parents = new Map();
+  for (const node of nodes) {
+    const parent = node.parentId ? byId.get(node.parentId) : null;
+    if (parent && parent !== node) {
+      parent.childPages.push(node);
+      parents.set(node, parent);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  // Pages in a parent cycle hang off each other and no root reaches them
+  const reached = new Set();
+  walkPages(roots, (page) => reached.add(page));
+  for (const node of nodes) {
+    if (reached.has(node)) continue;
+    const parent = parents.get(node);
+    parent.childPages.splice(parent.childPages.indexOf(node), 1);
+    roots.push(node);
+    walkPages([node], (page) => reached.add(page));
+    console.warn(`⚠️  Page "${node.title}" (${node.id}) is in a parent cycle — exported as a top-level page.`);
+  }
+  return roots;
+}
+
+/**
+ * Depth-first walk over a page tree.
+ * @param {object[]} pages
+ * @param {(page: object, ancestors: object[]) => void} fn
+ * @param {object[]} [ancestors]
+ */
+export function walkPages(pages, fn, ancestors = []) {
+  if (!Array.isArray(pages)) return;
+  for (const p of pages) {
+    fn(p, ancestors);
+    walkPages(p.childPages, fn, [...ancestors, p]);
+  }
+}
+
+/** Count every page in a tree, including nested sub-pages. */
+export function countPages(pages) {
+  let n = 0;
+  walkPages(pages, () => { n++; });
+  return n;
 }
 
 /**
@@ -38,7 +128,6 @@ export function printManifestSummary(manifest) {
   console.log('╠══════════════════════════════════════════════════╣');
 
   for (const ws of manifest.workspaces || []) {
-    const pageCount = (ws.pages || []).length;
     console.log(`║  📂 ${pad(truncate(ws.title, 30), 44)} ║`);
     printPageTree(ws.pages || [], 1, 44);
   }
@@ -49,15 +138,11 @@ export function printManifestSummary(manifest) {
 function printPageTree(pages, depth, width) {
   for (const p of pages) {
     const indent = '  '.repeat(depth);
-    const icon = (p.children && p.children.length) ? '📁' : '📄';
+    const hasChildren = Array.isArray(p.childPages) && p.childPages.length > 0;
+    const icon = hasChildren ? '📁' : '📄';
     const line = `║  ${indent}${icon} ${truncate(p.title, width - depth * 2 - 6)}`;
     console.log(line.padEnd(width + 1) + ' ║');
-    if (p.children && p.children.length) {
-      // children are IDs here; for display we'd need to look them up
-      // just show count
-      const childLine = `║  ${indent}  └─ (${p.children.length} sub-page(s))`;
-      console.log(childLine.padEnd(width + 1) + ' ║');
-    }
+    if (hasChildren) printPageTree(p.childPages, depth + 1, width);
   }
 }
 
@@ -86,9 +171,10 @@ export function validateManifest(manifest) {
     console.warn('   This usually means the inventory pass could not read the Loop sidebar.');
     console.warn('   Check the browser output and update selectors.js if needed.');
   }
-  const pagesWithoutUrl = (manifest.workspaces || [])
-    .flatMap((ws) => ws.pages || [])
-    .filter((p) => !p.url);
+  const pagesWithoutUrl = [];
+  for (const ws of manifest.workspaces || []) {
+    walkPages(ws.pages, (p) => { if (!p.url) pagesWithoutUrl.push(p); });
+  }
 
   if (pagesWithoutUrl.length > 0) {
     console.warn(
@@ -2,16 +2,38 @@
  * markdown.js — HTML → Markdown conversion tuned for Loop content.
  *
  * Uses Turndown + GFM plugin for tables, task lists, strikethrough.
- * Additional rules handle Loop-specific HTML patterns.
+ * Additional rules handle Loop-specific HTML patterns; Loop components
+ * (tables, trackers, Q&A…) have their own rules in components.js, callouts
+ * in callouts.js, @mentions in people.js, date chips in dates.js, shared
+ * components in transclusion.js, file cards in attachments.js and code blocks
+ * in code.js. Plugins from the
+ * config file (plugins.js) can add, override or remove rules on top.
  */
 
 import TurndownService from 'turndown';
 import { gfm } from 'turndown-plugin-gfm';
+import { toSafeName } from './naming.js';
+import { addComponentRules } from './components.js';
+import { addCalloutRules } from './callouts.js';
+import { addMentionRules } from './people.js';
+import { addDateRules } from './dates.js';
+import { addTransclusionRules } from './transclusion.js';
+import { addAttachmentRules } from './attachments.js';
+import { addCommentRules, appendCommentFootnotes } from './comments.js';
+import { normalizeCodeBlocks, addCodeRules } from './code.js';
+import { addMathRules } from './math.js';
+import { addTableRules } from './tables.js';
+import { createConversion, runConversion } from './conversion.js';
+import { trackRuleKeys, applyPluginRules, runPluginHook } from './plugins.js';
+import { toFrontmatter } from './yaml.js';
 
-let _service = null;
+// One service per output flavour (callout/highlight syntax differ by layout,
+// date style and plugins by config)
+const _services = new Map();
 
-function getService() {
-  if (_service) return _service;
+function getService({ calloutStyle = 'obsidian', highlightStyle = 'equals', dateStyle = 'iso', texMath = true, plugins = [] } = {}) {
+  const cacheKey = [calloutStyle, highlightStyle, dateStyle, texMath, ...plugins.map((p) => p.file)].join('|');
+  if (_services.has(cacheKey)) return _services.get(cacheKey);
 
   const td = new TurndownService({
     headingStyle: 'atx',
@@ -20,9 +42,12 @@ function getService() {
     codeBlockStyle: 'fenced',
     emDelimiter: '_',
     strongDelimiter: '**',
+    // Keep whitespace inside inline <code> as-is
+    preformattedCode: true,
   });
+  trackRuleKeys(td);
 
-  // Enable GFM: tables, task lists, strikethrough
+  // Enable GFM: task lists, strikethrough (tables: see tables.js)
   td.use(gfm);
 
   // ── Custom rules ───────────────────────────────────────────────────────────
@@ -37,13 +62,14 @@ function getService() {
     replacement: () => '', // omit — we add the title as YAML frontmatter
   });
 
-  // Preserve Loop @mentions as plain text
-  td.addRule('loop-mention', {
-    filter: (node) =>
-      node.nodeName === 'SPAN' &&
-      (node.getAttribute('data-mention') ||
-       node.className?.includes?.('mention')),
-    replacement: (content) => `@${content.trim()}`,
+  // Links to other exported pages, marked by links.js when using wikilinks
+  td.addRule('loop-wikilink', {
+    filter: (node) => node.nodeName === 'A' && node.getAttribute('data-wikilink'),
+    replacement: (content, node) => {
+      const target = node.getAttribute('data-wikilink');
+      const text = content.trim().replace(/\|/g, '\\|');
+      return text ? `[[${target}|${text}]]` : `[[${target}]]`;
+    },
   });
 
   // Loop task/checklist items
@@ -70,64 +96,193 @@ function getService() {
     replacement: () => '',
   });
 
+  // Callouts, quote blocks and highlighted text, in the layout's syntax
+  addCalloutRules(td, { calloutStyle, highlightStyle });
+
+  // @mentions; after the highlight rule, since mention pills have a background colour
+  addMentionRules(td);
+
+  // Date chips → ISO dates, in the configured style; after highlights for the same reason
+  addDateRules(td, { dateStyle });
+
+  // Commented text → footnote references (--include-comments); Loop highlights it too
+  addCommentRules(td);
+
+  // HTML tables: GFM where possible, inline HTML where GFM can't express them
+  addTableRules(td);
+
+  // Loop components: tables, trackers, voting, Q&A, list components, labels
+  addComponentRules(td, { dateStyle });
+
+  // File cards → a link to the file (downloaded with --attachments)
+  addAttachmentRules(td);
+
+  // Shared components (same source ID on several pages) → own file + embed;
+  // after the component rules so it wins for a component root carrying an ID
+  addTransclusionRules(td);
+
+  // Equations as $…$ / $$…$$; where the layout renders those as TeX, literal
+  // dollars in text are escaped so they can't be mistaken for math
+  addMathRules(td);
+  if (texMath) {
+    const escape = td.escape.bind(td);
+    td.escape = (text) => escape(text).replace(/\$/g, '\\$');
+  }
+
+  // Code blocks (fenced, with language) and inline code; last so they win over
+  // highlight rules matching syntax-highlighting spans
+  addCodeRules(td);
+
   // Remove script/style blocks
   td.remove(['script', 'style', 'noscript']);
 
-  _service = td;
+  // Plugin rules last, so they win over everything above
+  applyPluginRules(td, plugins);
+
+  _services.set(cacheKey, td);
   return td;
 }
 
+/**
+ * Frontmatter fields in output order, mapped to their default key.
+ * Layouts (layouts.js) and the config file's `frontmatter.fields` rename
+ * fields, or omit them with false/null.
+ */
+export const FRONTMATTER_FIELDS = {
+  title: 'title',
+  source: 'source',
+  workspace: 'workspace',
+  breadcrumb: 'breadcrumb',
+  id: 'loop_id',
+  parentId: 'parent_id',
+  depth: 'depth',
+  created: 'created',
+  modified: 'modified',
+  authors: 'authors',
+  tags: 'tags',
+  reactions: 'reactions',
+  icon: 'icon',
+  cover: 'cover',
+  exported: 'exported',
+  position: false,
+};
+
+/**
+ * Resolve the field → key map: defaults, then each override map in turn.
+ * @param {...object} overrides - e.g. layout.frontmatterKeys, config.frontmatter.fields
+ * @returns {object}
+ */
+export function resolveFrontmatterKeys(...overrides) {
+  const keys = { ...FRONTMATTER_FIELDS };
+  for (const map of overrides) {
+    for (const [field, key] of Object.entries(map || {})) {
+      if (!(field in FRONTMATTER_FIELDS)) {
+        throw new Error(
+          `Unknown frontmatter field "${field}". Expected one of: ${Object.keys(FRONTMATTER_FIELDS).join(', ')}`
+        );
+      }
+      keys[field] = key;
+    }
+  }
+  return keys;
+}
+
 /**
  * Convert HTML string to Markdown.
  * @param {string} html        - Raw HTML content from the Loop page
- * @param {string} [pageTitle] - Page title for YAML frontmatter
- * @param {string} [pageUrl]   - Original Loop URL for frontmatter
+ * @param {object} [meta]      - Frontmatter values, by field name (see FRONTMATTER_FIELDS);
+ *                               missing/empty values are left out
+ * @param {object} [opts]
+ * @param {object} [opts.frontmatterKeys]   - Field → key map (see resolveFrontmatterKeys)
+ * @param {object} [opts.frontmatterExtra]  - Static key/values appended to the frontmatter
+ * @param {string} [opts.calloutStyle]      - Callout syntax (see callouts.js; default: obsidian)
+ * @param {string} [opts.highlightStyle]    - 'equals' (==text==) or 'html' (<mark>)
+ * @param {boolean} [opts.texMath]          - Whether $…$ renders as TeX, so literal $ need escaping (default: true)
+ * @param {string} [opts.dateStyle]         - 'iso', 'obsidian' or 'dataview' (see dates.js)
+ * @param {object[]} [opts.tables]          - If given, receives every table converted
+ *                                            as { header, rows } of plain text (for CSV)
+ * @param {object[]} [opts.mentions]        - If given, receives every person @mentioned
+ *                                            as { name, email, id }
+ * @param {Function} [opts.mentionFormat]   - person → Markdown for a mention (default "@Name")
+ * @param {object[]} [opts.components]      - If given, receives every shared component as { id, title }
+ * @param {Function} [opts.componentEmbed]  - component → { markdown, import } embed (default: kept inline;
+ *                                            see transclusion.js)
+ * @param {object[]} [opts.commentFootnotes] - Comment threads (comments.js) to write as footnotes
+ * @param {object[]} [opts.plugins]         - From plugins.loadPlugins
  * @returns {string}           - Markdown string
  */
-export function htmlToMarkdown(html, pageTitle, pageUrl) {
-  const td = getService();
+export function htmlToMarkdown(html, meta = {}, opts = {}) {
+  const td = getService(opts);
 
   let md = '';
 
   // ── YAML frontmatter ────────────────────────────────────────────────────
-  if (pageTitle || pageUrl) {
-    md += '---\n';
-    if (pageTitle) md += `title: "${escapeYaml(pageTitle)}"\n`;
-    if (pageUrl) md += `source: "${pageUrl}"\n`;
-    md += `exported: "${new Date().toISOString()}"\n`;
-    md += '---\n\n';
+  if (meta.title || meta.source) {
+    md += buildFrontmatter(meta, opts.frontmatterKeys, opts.frontmatterExtra);
   }
 
   // ── Convert ─────────────────────────────────────────────────────────────
-  const body = td.turndown(html || '');
+  const plugins = opts.plugins || [];
+  const source = runPluginHook(plugins, 'preprocess', html || '', { meta });
+
+  // Code components first: Turndown would collapse their whitespace
+  // Tables, mentions, shared components and comment anchors are collected in
+  // the conversion context as a side effect
+  const threads = opts.commentFootnotes || [];
+  const conversion = createConversion({
+    mentionFormat: opts.mentionFormat || null,
+    componentEmbed: opts.componentEmbed || null,
+    threads,
+  });
+  const body = runConversion(conversion, () => td.turndown(normalizeCodeBlocks(source)));
+  const { tables, people, components, imports, labels } = conversion;
+  if (opts.tables) opts.tables.push(...tables);
+  if (opts.mentions) opts.mentions.push(...people);
+  if (opts.components) opts.components.push(...components);
 
   // Clean up excessive blank lines (Turndown can leave many)
-  const cleaned = body
-    .replace(/\n{3,}/g, '\n\n')
-    .trim();
+  const cleaned = collapseBlankLines(body).trim();
 
-  md += cleaned;
-  return md;
+  // Component imports (MDX) must be top-level statements: right after the frontmatter
+  if (imports.length) md += `${imports.join('\n')}\n\n`;
+  md += threads.length ? appendCommentFootnotes(cleaned, threads, labels) : cleaned;
+  return runPluginHook(plugins, 'postprocess', md, { meta });
+}
+
+/**
+ * Squeeze runs of blank lines to one, outside fenced code blocks (where blank
+ * lines are part of the code).
+ */
+function collapseBlankLines(md) {
+  // split() with capture groups yields [text, fenced block, fence, text, …]
+  const parts = md.split(/(^(`{3,})[^\n]*\n[\s\S]*?\n\2$)/m);
+  let out = '';
+  for (let i = 0; i < parts.length; i += 3) {
+    out += parts[i].replace(/\n{3,}/g, '\n\n');
+    if (i + 1 < parts.length) out += parts[i + 1];
+  }
+  return out;
 }
 
 /**
  * Build a Markdown index file listing child pages.
- * Used for parent pages that have subpages (Obsidian folder note).
+ * Used for folder notes that have no Loop page of their own (workspaces).
+ * @param {object} meta        - Frontmatter values ({ title, source, … })
+ * @param {{ title: string, link: string, icon?: string }[]} children
+ *   `link` is a ready-made Markdown/wiki link; `icon` (the page's emoji) goes before it
+ * @param {object} [opts]
+ * @param {object} [opts.frontmatterKeys]
+ * @param {object} [opts.frontmatterExtra]
  */
-export function buildIndexMarkdown(pageTitle, pageUrl, childTitles) {
-  let md = '---\n';
-  md += `title: "${escapeYaml(pageTitle)}"\n`;
-  if (pageUrl) md += `source: "${pageUrl}"\n`;
-  md += `exported: "${new Date().toISOString()}"\n`;
-  md += '---\n\n';
+export function buildIndexMarkdown(meta, children, opts = {}) {
+  let md = buildFrontmatter(meta, opts.frontmatterKeys, opts.frontmatterExtra);
 
-  md += `# ${pageTitle}\n\n`;
+  md += `# ${meta.title}\n\n`;
 
-  if (childTitles.length) {
+  if (children.length) {
     md += '## Sub-pages\n\n';
-    for (const t of childTitles) {
-      const slug = toSlug(t);
-      md += `- [[${slug}|${t}]]\n`;
+    for (const child of children) {
+      md += `- ${child.icon ? `${child.icon} ` : ''}${child.link}\n`;
     }
     md += '\n';
   }
@@ -135,19 +290,26 @@ export function buildIndexMarkdown(pageTitle, pageUrl, childTitles) {
   return md;
 }
 
+function buildFrontmatter(meta, keys = FRONTMATTER_FIELDS, extra = {}) {
+  const values = { ...meta, exported: meta.exported || new Date().toISOString() };
+  const fields = {};
+  for (const [field, key] of Object.entries(keys)) {
+    if (!key || isEmpty(values[field])) continue;
+    fields[key] = values[field];
+  }
+  return toFrontmatter({ ...fields, ...extra });
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (value?.constructor === Object && Object.keys(value).length === 0);
+}
+
 /**
- * Very simple slug: lowercase, spaces to hyphens, strip specials.
+ * Unicode-aware slug (see naming.js). Sibling collisions are resolved by the
+ * exporter's planner, not here.
  */
 export function toSlug(title) {
-  return (title || 'untitled')
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '')
-    .slice(0, 60);
-}
-
-function escapeYaml(str) {
-  return (str || '').replace(/"/g, '\\"');
+  return toSafeName(title);
 }
@@ -0,0 +1,208 @@
+/**
+ * math.js — Equations → LaTeX (`$…$` inline, `$$…$$` display).
+ *
+ * Loop renders equations with KaTeX/MathML: a hidden MathML copy plus a pile
+ * of positioned glyph spans, which Turndown turns into the same formula
+ * twice, as garbage. The TeX source is recovered, in order of preference,
+ * from:
+ *   1. a data-tex / data-latex attribute
+ *   2. the MathML <annotation encoding="application/x-tex">
+ *   3. the MathML itself, translated to TeX (common elements only)
+ * When none of these is there, the equation's image is kept as
+ * ![equation](…) or, failing that, its visible text as `[equation: …]`.
+ */
+
+import { LOOP_MATH_SELECTORS } from './selectors.js';
+import { matchesAny } from './helpers.js';
+
+// Unicode operators/letters MathML carries as text → TeX commands
+const SYMBOLS = {
+  '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∮': '\\oint', '∞': '\\infty',
+  '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '≡': '\\equiv',
+  '±': '\\pm', '∓': '\\mp', '×': '\\times', '÷': '\\div', '·': '\\cdot', '⋅': '\\cdot',
+  '→': '\\to', '←': '\\leftarrow', '⇒': '\\Rightarrow', '⇔': '\\Leftrightarrow',
+  '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq', '∪': '\\cup', '∩': '\\cap',
+  '∀': '\\forall', '∃': '\\exists', '∂': '\\partial', '∇': '\\nabla', '√': '\\surd',
+  '…': '\\ldots', '⋯': '\\cdots', '′': "'",
+  'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon',
+  'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa',
+  'λ': '\\lambda', 'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho',
+  'σ': '\\sigma', 'τ': '\\tau', 'υ': '\\upsilon', 'φ': '\\phi', 'χ': '\\chi',
+  'ψ': '\\psi', 'ω': '\\omega', 'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta',
+  'Λ': '\\Lambda', 'Π': '\\Pi', 'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+};
+
+// Multi-letter <mi> that TeX has an operator command for
+const FUNCTIONS = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'log', 'ln', 'exp', 'lim', 'max', 'min', 'det', 'sup', 'inf'];
+
+// <mfenced> open/close characters → TeX delimiters (braces must be escaped;
+// an empty one is TeX's invisible `.`)
+const DELIMITERS = { '{': '\\{', '}': '\\}', '‖': '\\|', '⟨': '\\langle', '⟩': '\\rangle', '〈': '\\langle', '〉': '\\rangle', '⌈': '\\lceil', '⌉': '\\rceil', '⌊': '\\lfloor', '⌋': '\\rfloor', '': '.' };
+
+// <mover> accents → TeX accent commands
+const ACCENTS = { '^': '\\hat', 'ˆ': '\\hat', '¯': '\\overline', '‾': '\\overline', '→': '\\vec', '~': '\\tilde', '˙': '\\dot' };
+
+/**
+ * Add the equation rule to a Turndown service.
+ * @param {import('turndown')} td
+ */
+export function addMathRules(td) {
+  td.addRule('loop-math', {
+    filter: (node) => isMathRoot(node),
+    replacement: (content, node) => {
+      const display = isDisplay(node);
+      const tex = texSource(node);
+      if (tex) return display ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+
+      // No source: keep something a reader can recognise as an equation
+      const img = node.nodeName === 'IMG' ? node : node.querySelector('img');
+      const fallback = img?.getAttribute('src')
+        ? `![equation](${img.getAttribute('src')})`
+        : `\`[equation: ${visibleText(node)}]\``;
+      return display ? `\n\n${fallback}\n\n` : fallback;
+    },
+  });
+}
+
+/**
+ * TeX source of an equation element, or null.
+ * @param {Element} node
+ * @returns {string|null}
+ */
+export function texSource(node) {
+  const withAttr = node.getAttribute('data-tex') != null || node.getAttribute('data-latex') != null
+    ? node
+    : node.querySelector('[data-tex], [data-latex]');
+  const attr = withAttr?.getAttribute('data-tex') || withAttr?.getAttribute('data-latex');
+  if (attr?.trim()) return attr.trim();
+
+  const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+  if (annotation?.textContent.trim()) return annotation.textContent.trim();
+
+  const math = localName(node) === 'math' ? node : node.querySelector('math');
+  if (math) {
+    const tex = mathmlToTex(math).replace(/\s+/g, ' ').trim();
+    if (tex) return tex;
+  }
+  return null;
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+/** An equation element not nested in another (KaTeX wraps math in math). */
+function isMathRoot(node) {
+  if (!matchesAny(node, LOOP_MATH_SELECTORS)) return false;
+  for (let el = node.parentNode; el && el.nodeType === 1; el = el.parentNode) {
+    if (matchesAny(el, LOOP_MATH_SELECTORS)) return false;
+  }
+  return true;
+}
+
+function isDisplay(node) {
+  const className = node.getAttribute('class') || '';
+  return Boolean(
+    /katex-display|EquationBlock|equationBlock/.test(className) ||
+    node.getAttribute('data-display') === 'block' ||
+    node.getAttribute('display') === 'true' ||
+    node.querySelector?.('.katex-display') ||
+    (localName(node) === 'math' ? node : node.querySelector('math'))?.getAttribute('display') === 'block'
+  );
+}
+
+/** Text of the rendered equation, without KaTeX's hidden MathML copy. */
+function visibleText(node) {
+  const copy = node.cloneNode(true);
+  for (const hidden of Array.from(copy.querySelectorAll('.katex-mathml, mjx-assistive-mml, [aria-hidden="true"] math'))) {
+    hidden.parentNode.removeChild(hidden);
+  }
+  return (copy.textContent || '').replace(/\s+/g, ' ').trim().replace(/`/g, "'");
+}
+
+// ─── MathML → TeX ─────────────────────────────────────────────────────────────
+
+function mathmlToTex(node) {
+  if (node.nodeType === 3) return symbols(node.nodeValue);
+  if (node.nodeType !== 1) return '';
+
+  const kids = Array.from(node.childNodes).filter((c) => c.nodeType === 1);
+  const arg = (i) => group(mathmlToTex(kids[i] || { nodeType: 0 }));
+  const all = () => Array.from(node.childNodes).map(mathmlToTex).join('');
+
+  switch (localName(node)) {
+    case 'semantics':
+      return kids.length ? mathmlToTex(kids[0]) : '';
+    case 'annotation':
+    case 'annotation-xml':
+      return '';
+    case 'mi': {
+      const text = node.textContent.trim();
+      if (FUNCTIONS.includes(text)) return `\\${text} `;
+      const tex = symbols(text);
+      return text.length > 1 && tex === text ? `\\mathrm{${text}}` : tex;
+    }
+    case 'mn':
+    case 'mo':
+      return symbols(node.textContent.trim());
+    case 'mtext':
+      return `\\text{${node.textContent}}`;
+    case 'mspace':
+      return '\\ ';
+    case 'msup':
+      return `${arg(0)}^${arg(1)}`;
+    case 'msub':
+      return `${arg(0)}_${arg(1)}`;
+    case 'msubsup':
+    case 'munderover':
+      return `${arg(0)}_${arg(1)}^${arg(2)}`;
+    case 'mfrac':
+      return `\\frac${arg(0)}${arg(1)}`;
+    case 'msqrt':
+      return `\\sqrt{${all()}}`;
+    case 'mroot':
+      return `\\sqrt[${kids[1] ? mathmlToTex(kids[1]) : ''}]${arg(0)}`;
+    case 'mover': {
+      const accent = ACCENTS[kids[1]?.textContent.trim()];
+      return accent ? `${accent}${arg(0)}` : `\\overset${arg(1)}${arg(0)}`;
+    }
+    case 'munder':
+      return `\\underset${arg(1)}${arg(0)}`;
+    case 'mfenced': {
+      const open = delimiter(node.getAttribute('open') ?? '(');
+      const close = delimiter(node.getAttribute('close') ?? ')');
+      return `\\left${open}${kids.map(mathmlToTex).join(',')}\\right${close}`;
+    }
+    case 'mtable':
+      return `\\begin{matrix}${kids.map(mathmlToTex).join(' \\\\ ')}\\end{matrix}`;
+    case 'mtr':
+    case 'mlabeledtr':
+      return kids.map(mathmlToTex).join(' & ');
+    default:
+      // math, mrow, mstyle, mpadded, mtd, …: just their children
+      return all();
+  }
+}
+
+function delimiter(ch) {
+  const trimmed = ch.trim();
+  return DELIMITERS[trimmed] ?? trimmed;
+}
+
+function group(tex) {
+  return tex.length === 1 ? tex : `{${tex}}`;
+}
+
+function symbols(text) {
+  let out = '';
+  for (const ch of text || '') {
+    const tex = SYMBOLS[ch];
+    // Keep a space after control words so "\alpha x" doesn't become "\alphax"
+    out += tex ? (/[a-z]$/i.test(tex) ? `${tex} ` : tex) : ch;
+  }
+  return out;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function localName(node) {
+  return (node.localName || node.nodeName || '').toLowerCase();
+}
@@ -0,0 +1,122 @@
+/**
+ * naming.js — File/folder names for exported pages.
+ *
+ * Names keep letters and digits from any script (CJK, Cyrillic, Hebrew, …),
+ * lowercase them and join words with hyphens; everything else (punctuation,
+ * emoji, characters illegal on Windows/macOS) is dropped. Names are also
+ * safe inside Obsidian wikilinks, which reject `# ^ [ ] |`.
+ *
+ * Siblings whose names collide ("Notes" / "notes", "Q1 – Plan" / "Q1 Plan")
+ * are disambiguated with a short hash of the page's key, which does not depend
+ * on manifest order. Names handed out by a previous run are reused first, so a
+ * page keeps its path even when a same-named sibling appears later.
+ */
+
+import crypto from 'crypto';
+import sanitize from 'sanitize-filename';
+
+// Leaves room for a "-abc123" suffix and ".md" within the 255-byte limit.
+const MAX_NAME_BYTES = 180;
+
+/**
+ * Unicode-preserving, filesystem-safe name for a title (no extension).
+ * @param {string} title
+ * @returns {string}
+ */
+export function toSafeName(title) {
+  let name = (title || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  name = truncateUtf8(name, MAX_NAME_BYTES).replace(/-+$/, '');
+  if (!name) return 'untitled';
+
+  // Windows reserved device names (con, prn, nul, com1, …) sanitize to ''
+  return sanitize(name) || `${name}_`;
+}
+
+/**
+ * Create an allocator that hands out collision-free names per directory.
+ *
+ * For each directory, first `reserve()` the names remembered from the
+ * previous run, then `claim()` a name for every page in manifest order.
+ *
+ * @param {Record<string, { name: string }>} [previous]
+ *   Names assigned by an earlier run, keyed by page key (see state.js).
+ * @param {string[]} [reservedNames]
+ *   Names no page may take in any directory (e.g. "index", "_assets").
+ */
+export function createNameAllocator(previous = {}, reservedNames = []) {
+  const reserved = new Set(reservedNames.map((n) => n.toLowerCase()));
+  const taken = new Map(); // dirKey → Map(name → page key)
+
+  function namesIn(dirKey) {
+    if (!taken.has(dirKey)) taken.set(dirKey, new Map());
+    return taken.get(dirKey);
+  }
+
+  /**
+   * Re-claim the name a page had last run, as long as its title still maps
+   * to the same base name and no other page holds it.
+   * @returns {boolean} Whether the previous name was reserved
+   */
+  function reserve(dirKey, key, title) {
+    const prevName = previous[key]?.name;
+    if (!prevName || reserved.has(prevName)) return false;
+
+    const base = toSafeName(title);
+    if (prevName !== base && !prevName.startsWith(`${base}-`)) return false;
+
+    const names = namesIn(dirKey);
+    const holder = names.get(prevName);
+    if (holder && holder !== key) return false;
+    names.set(prevName, key);
+    return true;
+  }
+
+  /**
+   * Name for a page in a directory: the name it reserved there, else its
+   * base name, else base name + a hash of its key.
+   * @param {string} dirKey
+   * @param {string} key    - Stable page key
+   * @param {string} title
+   * @returns {string}
+   */
+  function claim(dirKey, key, title) {
+    const names = namesIn(dirKey);
+    for (const [name, holder] of names) {
+      if (holder === key) return name;
+    }
+
+    const base = toSafeName(title);
+    const hashed = `${base}-${shortHash(key)}`;
+    const candidates = [base, hashed];
+    for (let n = 2; n < 100; n++) candidates.push(`${hashed}-${n}`);
+
+    for (const candidate of candidates) {
+      if (reserved.has(candidate) || names.has(candidate)) continue;
+      names.set(candidate, key);
+      return candidate;
+    }
+    throw new Error(`Could not find a free name for "${title}" in ${dirKey}`);
+  }
+
+  return { reserve, claim };
+}
+
+function shortHash(key) {
+  return crypto.createHash('sha1').update(String(key)).digest('hex').slice(0, 6);
+}
+
+function truncateUtf8(str, maxBytes) {
+  let bytes = 0;
+  let out = '';
+  for (const ch of str) {
+    bytes += Buffer.byteLength(ch);
+    if (bytes > maxBytes) break;
+    out += ch;
+  }
+  return out;
+}
@@ -0,0 +1,265 @@
+/**
+ * people.js — @mentions → links to people notes, and the people directory.
+ *
+ * A Loop mention is a pill holding the person's display name, and usually
+ * their email (data-email, title, a mailto: link) or Azure AD object ID
+ * (data-person-id, data-user-id…). The Turndown rule below reads that
+ * identity and writes the mention in the configured format — by default a
+ * link to People/<name>.md in the layout's link style:
+ *
+ *   [[People/jane-doe|@Jane Doe]]      (wikilink)
+ *   [@Jane Doe](../People/jane-doe.md) (markdown)
+ *
+ * The exporter records who is mentioned on which page in export-state.json
+ * (`people`), and after the run writes one note per person listing every page
+ * that mentions them, plus a folder note listing everyone. Because the list
+ * lives in the checkpoint, pages skipped by --resume/--changed-only or
+ * filtered out of this run keep their mentions.
+ */
+
+import path from 'path';
+import { writeFileSync, mkdirSync } from 'fs';
+import { LOOP_MENTION_SELECTORS } from './selectors.js';
+import { createNameAllocator } from './naming.js';
+import { formatLink } from './links.js';
+import { toFrontmatter } from './yaml.js';
+import { toPosix } from './helpers.js';
+import { currentConversion } from './conversion.js';
+
+const EMAIL = /[^\s@<>()"',;:]+@[^\s@<>()"',;:]+\.[a-z]{2,}/i;
+
+// Attributes that carry a mention's email / object ID, in order of preference
+const EMAIL_ATTRIBUTES = ['data-email', 'data-upn', 'data-mail', 'data-user-principal-name'];
+const ID_ATTRIBUTES = ['data-person-id', 'data-user-id', 'data-object-id', 'data-oid', 'data-aad-id'];
+
+/**
+ * Add the @mention rule to a Turndown service.
+ * @param {import('turndown')} td
+ */
+export function addMentionRules(td) {
+  td.addRule('loop-mention', {
+    filter: (node) => isMention(node) && !closestMention(node.parentNode),
+    replacement: (content, node) => {
+      const person = mentionIdentity(node);
+      return person.name ? mentionMarkdown(person) : content;
+    },
+  });
+}
+
+/**
+ * Markdown for a mention of `person`, recorded in the conversion's `people`
+ * (conversion.js). Also used for the person chips in component cells.
+ * @param {{ name: string, email: string|null, id: string|null }} person
+ * @returns {string}
+ */
+export function mentionMarkdown(person) {
+  const conversion = currentConversion();
+  if (!conversion) return `@${person.name}`;
+  conversion.people.push(person);
+  return conversion.mentionFormat?.(person) || `@${person.name}`;
+}
+
+/**
+ * Who a mention pill refers to. The name never includes the leading "@".
+ * @param {Element} node
+ * @returns {{ name: string, email: string|null, id: string|null }}
+ */
+export function mentionIdentity(node) {
+  const attr = (name) => node.getAttribute(name)?.trim() || null;
+  const label = [attr('title'), attr('aria-label')].filter(Boolean).join(' ');
+  const mention = attr('data-mention');
+  const mailto = (node.nodeName === 'A' ? node : node.querySelector('a[href^="mailto:"]'))
+    ?.getAttribute('href')?.replace(/^mailto:/i, '');
+
+  const email =
+    EMAIL_ATTRIBUTES.map(attr).find(Boolean) ||
+    (mailto && EMAIL.test(mailto) ? mailto : null) ||
+    (mention && EMAIL.test(mention) ? mention.match(EMAIL)[0] : null) ||
+    label.match(EMAIL)?.[0] ||
+    null;
+
+  const text = (node.textContent || '').replace(/\s+/g, ' ').trim().replace(/^@\s*/, '');
+  const name = text || label.replace(EMAIL, '').replace(/[()]/g, '').trim() || email || '';
+
+  // data-mention is sometimes just "true" or the name itself
+  const mentionId = mention && !EMAIL.test(mention) && mention !== 'true' && mention !== name ? mention : null;
+  const id = ID_ATTRIBUTES.map(attr).find(Boolean) || mentionId;
+
+  return { name, email: email?.toLowerCase() || null, id: id || null };
+}
+
+/**
+ * The people directory for one export run, backed by `state.people`.
+ *
+ * @param {object} state       - From state.loadState (mutated)
+ * @param {string} outputRoot
+ * @param {object} opts
+ * @param {string} opts.dir            - Folder name under the content root (config people.dir)
+ * @param {string} [opts.mentionFormat] - 'link', 'text' or a template (see formatMention)
+ * @param {object} opts.layout         - From layouts.resolveLayout
+ */
+export function createPeopleDirectory(state, outputRoot, { dir, mentionFormat = 'link', layout }) {
+  state.people = state.people || {};
+  const peopleDir = path.join(outputRoot, layout.contentDir, dir);
+  const folderNoteName = path.basename(layout.folderNote, path.extname(layout.folderNote));
+  const names = createNameAllocator(
+    Object.fromEntries(Object.entries(state.people).map(([key, p]) => [key, { name: p.slug }])),
+    [folderNoteName]
+  );
+  for (const [key, p] of Object.entries(state.people)) names.reserve(peopleDir, key, p.name);
+
+  /** Find (or add) a person's entry, merging identities seen on different pages. */
+  function resolve(person) {
+    const entries = Object.entries(state.people);
+    const found =
+      (person.id && entries.find(([, p]) => p.id === person.id)) ||
+      (person.email && entries.find(([, p]) => p.email === person.email)) ||
+      entries.find(([, p]) => p.name.toLowerCase() === person.name.toLowerCase() &&
+        (!person.id || !p.id) && (!person.email || !p.email));
+    if (found) {
+      const [key, entry] = found;
+      entry.email = entry.email || person.email;
+      entry.id = entry.id || person.id;
+      return { key, entry };
+    }
+
+    const key = person.id ? `id:${person.id}` : person.email ? `email:${person.email}` : `name:${person.name.toLowerCase()}`;
+    const entry = {
+      name: person.name,
+      email: person.email,
+      id: person.id,
+      slug: names.claim(peopleDir, key, person.name),
+      pages: [],
+    };
+    state.people[key] = entry;
+    return { key, entry };
+  }
+
+  function noteFile(entry) {
+    return path.join(peopleDir, `${entry.slug}.md`);
+  }
+
+  return {
+    dir: peopleDir,
+
+    /**
+     * Markdown for a mention on the page being written to `fromFile`.
+     * @returns {string}
+     */
+    mention(person, fromFile) {
+      const { entry } = resolve(person);
+      return formatMention(person, mentionFormat, {
+        link: () => formatLink(`@${person.name}`, noteFile(entry), fromFile, {
+          outputRoot,
+          linkStyle: layout.linkStyle,
+        }),
+        path: toPosix(path.relative(outputRoot, noteFile(entry))).replace(/\.md$/, ''),
+      });
+    },
+
+    /**
+     * Replace the list of people a page mentions.
+     * @param {string} key        - The page's key (see state.pageKey)
+     * @param {object[]} people   - A conversion's `people` (conversion.js)
+     */
+    recordPage(key, people) {
+      for (const entry of Object.values(state.people)) {
+        entry.pages = entry.pages.filter((k) => k !== key);
+      }
+      for (const person of people) {
+        const { entry } = resolve(person);
+        if (!entry.pages.includes(key)) entry.pages.push(key);
+      }
+    },
+
+    /**
+     * Write a note per mentioned person and a folder note listing them all.
+     * @param {object} [opts]
+     * @param {object} [opts.frontmatterExtra] - Static frontmatter from the config file
+     * @returns {string[]} Files written
+     */
+    write({ frontmatterExtra = {} } = {}) {
+      const people = Object.values(state.people)
+        .map((entry) => ({
+          entry,
+          pages: entry.pages
+            .map((k) => state.pages[k])
+            .filter((p) => p?.file)
+            .sort((a, b) => a.title.localeCompare(b.title)),
+        }))
+        .filter(({ pages }) => pages.length)
+        .sort((a, b) => a.entry.name.localeCompare(b.entry.name));
+      if (!people.length) return [];
+
+      mkdirSync(peopleDir, { recursive: true });
+      const written = [];
+      const linkOpts = { outputRoot, linkStyle: layout.linkStyle };
+
+      for (const { entry, pages } of people) {
+        const file = noteFile(entry);
+        let md = toFrontmatter({
+          title: entry.name,
+          ...(entry.email ? { email: entry.email } : {}),
+          ...(entry.id ? { loop_user_id: entry.id } : {}),
+          ...frontmatterExtra,
+        });
+        md += `# ${entry.name}\n\n`;
+        if (entry.email) md += `Email: <${entry.email}>\n\n`;
+        md += '## Mentioned in\n\n';
+        for (const p of pages) {
+          md += `- ${formatLink(p.title, path.join(outputRoot, p.file), file, linkOpts)}\n`;
+        }
+        writeFileSync(file, md, 'utf8');
+        written.push(file);
+      }
+
+      const index = path.join(peopleDir, layout.folderNote);
+      let md = toFrontmatter({ title: 'People', ...frontmatterExtra });
+      md += '# People\n\n';
+      for (const { entry, pages } of people) {
+        md += `- ${formatLink(entry.name, noteFile(entry), index, linkOpts)} (${pages.length})\n`;
+      }
+      writeFileSync(index, md, 'utf8');
+      written.push(index);
+
+      return written;
+    },
+  };
+}
+
+/**
+ * A mention in the given format:
+ *   - 'link': a link to the person's note (default)
+ *   - 'text': plain "@Name"
+ *   - anything else is a template with {name}, {email}, {id}, {path} (the
+ *     note's path from the output root, without .md) and {link} placeholders,
+ *     e.g. "[[{path}|{name}]]" or "@{name} <{email}>"
+ * @param {{ name: string, email: string|null, id: string|null }} person
+ * @param {string} format
+ * @param {{ link: () => string, path: string }} target
+ * @returns {string}
+ */
+export function formatMention(person, format, target) {
+  if (format === 'text') return `@${person.name}`;
+  if (!format || format === 'link') return target.link();
+  return format.replace(/\{(name|email|id|path|link)\}/g, (_, key) => {
+    if (key === 'link') return target.link();
+    if (key === 'path') return target.path;
+    return person[key] || '';
+  });
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Mention pills are inline; this keeps e.g. a "mentionsPanel" div from matching. */
+function isMention(node) {
+  return (node.nodeName === 'SPAN' || node.nodeName === 'A') &&
+    LOOP_MENTION_SELECTORS.some((sel) => node.matches(sel));
+}
+
+function closestMention(node) {
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    if (isMention(el)) return el;
+  }
+  return null;
+}
@@ -0,0 +1,146 @@
+/**
+ * plugins.js — User-supplied conversion plugins (config `plugins`).
+ *
+ * A plugin is a local ES module listed in the config file, by path relative
+ * to the config file:
+ *
+ *   { "plugins": ["./loop-plugins/jira-keys.js"] }
+ *
+ * It exports any of these (named exports, or as properties of the default
+ * export):
+ *
+ *   rules(td, { removeRule })  Called once per Turndown service, after the
+ *                              built-in rules, so td.addRule() takes priority
+ *                              over them. removeRule(key) drops a built-in
+ *                              rule by key ('loop-checklist', 'paragraph'…).
+ *   preprocess(html, { meta }) The page's content HTML before conversion.
+ *   postprocess(md, { meta })  The page's final Markdown, frontmatter included.
+ *
+ * Hooks run in config order and are synchronous; each returns the new
+ * HTML/Markdown (or nothing to keep it as it was). For example:
+ *
+ *   export function rules(td, { removeRule }) {
+ *     removeRule('loop-checklist');
+ *     td.addRule('jira-key', {
+ *       filter: (node) => node.nodeName === 'SPAN' && node.hasAttribute('data-jira-key'),
+ *       replacement: (content, node) => `[[${node.getAttribute('data-jira-key')}]]`,
+ *     });
+ *   }
+ */
+
+import path from 'path';
+import { existsSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { failure, FAILURE } from './failures.js';
+
+const HOOKS = ['rules', 'preprocess', 'postprocess'];
+
+// The key a rule was added under; Turndown itself doesn't keep it
+const RULE_KEY = Symbol('loopExportRuleKey');
+
+/**
+ * Import the plugin modules listed in the config.
+ * @param {string[]} specs  - Module paths (config `plugins`)
+ * @param {string} baseDir  - Relative paths are resolved from here (the config file's folder)
+ * @returns {Promise<{ name: string, file: string, rules?: Function, preprocess?: Function, postprocess?: Function }[]>}
+ */
+export async function loadPlugins(specs = [], baseDir = process.cwd()) {
+  if (!Array.isArray(specs)) {
+    throw new Error('Config "plugins" must be an array of module paths');
+  }
+
+  const plugins = [];
+  for (const spec of specs) {
+    const file = path.resolve(baseDir, spec);
+    if (!existsSync(file)) throw new Error(`Plugin not found: ${file}`);
+
+    let mod;
+    try {
+      mod = await import(pathToFileURL(file).href);
+    } catch (err) {
+      throw new Error(`Could not load plugin ${file}: ${err.message}`);
+    }
+
+    const exported = { ...(isObject(mod.default) ? mod.default : {}), ...mod };
+    const plugin = { name: exported.name || path.basename(file, path.extname(file)), file };
+    for (const hook of HOOKS) {
+      if (exported[hook] === undefined) continue;
+      if (typeof exported[hook] !== 'function') {
+        throw new Error(`Plugin ${file}: "${hook}" must be a function`);
+      }
+      plugin[hook] = exported[hook];
+    }
+    if (!HOOKS.some((hook) => plugin[hook])) {
+      throw new Error(`Plugin ${file} exports none of: ${HOOKS.join(', ')}`);
+    }
+    plugins.push(plugin);
+  }
+  return plugins;
+}
+
+/**
+ * Remember the key of every rule added to `td` from now on, so removeRule can
+ * find it. Call right after creating the service.
+ * @param {import('turndown')} td
+ */
+export function trackRuleKeys(td) {
+  const addRule = td.addRule.bind(td);
+  td.addRule = (key, rule) => addRule(key, Object.assign(rule, { [RULE_KEY]: key }));
+}
+
+/**
+ * Let each plugin add, override or remove rules.
+ *
+ * removeRule edits Turndown internals, which have no public API: the rule
+ * list `td.rules.array` and the key → rule map `td.options.rules`. Both are
+ * checked against the turndown version pinned in package.json.
+ * @param {import('turndown')} td
+ * @param {object[]} plugins - From loadPlugins
+ */
+export function applyPluginRules(td, plugins) {
+  const removeRule = (key) => {
+    const builtIn = td.options.rules[key];
+    const before = td.rules.array.length;
+    td.rules.array = td.rules.array.filter((rule) => rule !== builtIn && rule[RULE_KEY] !== key);
+    return td.rules.array.length < before;
+  };
+  for (const plugin of plugins) {
+    try {
+      plugin.rules?.(td, { removeRule });
+    } catch (err) {
+      throw failure(FAILURE.CONVERSION_ERROR, `Plugin ${plugin.name} failed to add its rules: ${err.message}`, err);
+    }
+  }
+}
+
+/**
+ * Run one hook of every plugin over `value`, in order.
+ * @param {object[]} plugins
+ * @param {'preprocess'|'postprocess'} hook
+ * @param {string} value    - HTML or Markdown
+ * @param {object} context  - { meta }
+ * @returns {string}
+ */
+export function runPluginHook(plugins, hook, value, context) {
+  let out = value;
+  for (const plugin of plugins) {
+    if (!plugin[hook]) continue;
+    let result;
+    try {
+      result = plugin[hook](out, context);
+    } catch (err) {
+      throw failure(FAILURE.CONVERSION_ERROR, `Plugin ${plugin.name} ${hook} failed: ${err.message}`, err);
+    }
+    if (typeof result?.then === 'function') {
+      // Nobody awaits it: handle its rejection so it can't crash the run
+      result.catch(() => {});
+      throw failure(FAILURE.CONVERSION_ERROR, `Plugin ${plugin.name}: ${hook} must be synchronous`);
+    }
+    if (typeof result === 'string') out = result;
+  }
+  return out;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
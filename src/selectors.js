@@ -116,6 +116,328 @@ export const PAGE_CONTENT_SELECTORS = [
   '[role="main"]',
 ];
 
+// ─── Page metadata (header) ──────────────────────────────────────────────────
+// Optional: used for frontmatter when the manifest has no created/modified/authors.
+
+/** Collaborator avatars in the page header; the person's name is in aria-label. */
+export const PAGE_AUTHOR_SELECTORS = [
+  '[data-testid="page-header"] [data-testid*="facepile"] [aria-label]',
+  '[data-testid*="facepile"] [aria-label]',
+  '[class*="Facepile"] [aria-label]',
+  '[class*="facepile"] [aria-label]',
+  '[class*="fui-AvatarGroup"] [aria-label]',
+];
+
+/** "Last edited" timestamp in the page header. */
+export const PAGE_MODIFIED_SELECTORS = [
+  '[data-testid="page-header"] time[datetime]',
+  '[data-testid*="last-modified"] time[datetime]',
+  '[class*="lastModified"] time[datetime]',
+  '[class*="LastModified"] time[datetime]',
+];
+
+/** Emoji icon shown before the page title. The emoji is the text, or in aria-label/alt. */
+export const PAGE_ICON_SELECTORS = [
+  '[data-testid="page-icon"]',
+  '[data-testid*="page-emoji"]',
+  '[class*="PageIcon"]',
+  '[class*="pageIcon"]',
+  '[class*="PageEmoji"]',
+];
+
+/** Cover (header) image above the title: an <img>, or an element with a CSS background-image. */
+export const PAGE_COVER_SELECTORS = [
+  '[data-testid="page-cover"] img',
+  '[data-testid="page-cover"]',
+  '[data-testid*="cover-image"]',
+  '[class*="CoverImage"] img',
+  '[class*="CoverImage"]',
+  '[class*="coverImage"]',
+  '[class*="PageHeaderImage"]',
+];
+
+// ─── Comments & reactions (read from the live page by comments.js) ───────────
+
+/** Button that opens the comments pane, when threads aren't rendered yet. */
+export const COMMENTS_PANE_TOGGLE_SELECTORS = [
+  '[data-testid*="comments-button"]',
+  'button[aria-label*="omments"]',
+  'button[title*="omments"]',
+];
+
+/** One comment thread (in the pane or a margin card). */
+export const COMMENT_THREAD_SELECTORS = [
+  '[data-testid*="comment-thread"]',
+  '[class*="CommentThread"]',
+  '[class*="commentThread"]',
+  '[role="article"][aria-label*="omment"]',
+];
+
+/** A single comment (first one starts the thread, the rest are replies). */
+export const COMMENT_ITEM_SELECTORS = [
+  '[data-testid*="comment-item"]',
+  '[class*="CommentItem"]',
+  '[class*="commentItem"]',
+  '[class*="CommentCard"]',
+];
+
+export const COMMENT_AUTHOR_SELECTORS = [
+  '[data-testid*="comment-author"]',
+  '[class*="CommentAuthor"]',
+  '[class*="commentAuthor"]',
+  '[class*="Persona"] [class*="primaryText"]',
+];
+
+export const COMMENT_BODY_SELECTORS = [
+  '[data-testid*="comment-body"]',
+  '[class*="CommentBody"]',
+  '[class*="commentBody"]',
+  '[class*="CommentText"]',
+];
+
+/** Quote of the commented text shown at the top of a thread. */
+export const COMMENT_ANCHOR_TEXT_SELECTORS = [
+  '[data-testid*="comment-anchor"]',
+  '[class*="AnchorText"]',
+  '[class*="anchorText"]',
+  '[class*="QuotedText"]',
+];
+
+/** Attributes linking a thread to its highlighted text in the page. */
+export const COMMENT_THREAD_ID_ATTRIBUTES = [
+  'data-comment-thread-id',
+  'data-thread-id',
+  'data-comment-id',
+];
+
+/** Highlighted (commented) text inside the page content; matched by comments.js in Turndown. */
+export const LOOP_COMMENT_ANCHOR_SELECTORS = [
+  '[data-comment-thread-id]',
+  '[data-thread-id]',
+  '[class*="commentHighlight"]',
+  '[class*="CommentHighlight"]',
+  '[class*="commentAnchor"]',
+];
+
+/** Page reaction buttons ("👍 3"); the emoji and count are in aria-label or text. */
+export const PAGE_REACTION_SELECTORS = [
+  '[data-testid*="reaction"]',
+  '[class*="ReactionButton"]',
+  '[class*="reactionButton"]',
+  '[class*="ReactionPill"]',
+];
+
+// ─── Loop components (matched inside page HTML by components.js) ────────────
+// These run against the extracted HTML in Node (Turndown's DOM), not the live
+// page, so they must be plain CSS selectors that survive innerHTML().
+
+/** Component roots by kind. Checked in this order; trackers before generic tables. */
+export const LOOP_COMPONENT_SELECTORS = {
+  statusTracker: [
+    '[data-component-type="statusTracker"]',
+    '[data-loop-component="status-tracker"]',
+    '[class*="StatusTracker"]',
+    '[class*="statusTracker"]',
+  ],
+  progressTracker: [
+    '[data-component-type="progressTracker"]',
+    '[data-loop-component="progress-tracker"]',
+    '[class*="ProgressTracker"]',
+    '[class*="progressTracker"]',
+  ],
+  voting: [
+    '[data-component-type="votingTable"]',
+    '[data-loop-component="voting-table"]',
+    '[class*="VotingTable"]',
+    '[class*="votingTable"]',
+  ],
+  qna: [
+    '[data-component-type="qna"]',
+    '[data-loop-component="q-and-a"]',
+    '[class*="QnA"]',
+    '[class*="QandA"]',
+  ],
+  checklist: [
+    '[data-component-type="checklist"]',
+    '[data-loop-component="checklist"]',
+    '[class*="ChecklistComponent"]',
+  ],
+  numberedList: [
+    '[data-component-type="numberedList"]',
+    '[data-loop-component="numbered-list"]',
+    '[class*="NumberedListComponent"]',
+  ],
+  bulletedList: [
+    '[data-component-type="bulletedList"]',
+    '[data-loop-component="bulleted-list"]',
+    '[class*="BulletedListComponent"]',
+  ],
+  table: [
+    '[data-component-type="table"]',
+    '[data-loop-component="table"]',
+    '[class*="LoopTable"]',
+    '[role="grid"]',
+  ],
+};
+
+/** Title bar of a component (kept as a bold line above it). */
+export const LOOP_COMPONENT_TITLE_SELECTORS = [
+  '[data-testid="component-title"]',
+  '[class*="ComponentTitle"]',
+  '[class*="componentTitle"]',
+];
+
+/**
+ * Attributes holding the source ID of a shared/embedded component (the same
+ * component placed on several pages, or embedded from another page).
+ */
+export const LOOP_SHARED_COMPONENT_ID_ATTRIBUTES = [
+  'data-loop-component-id',
+  'data-fluid-component-id',
+  'data-shared-component-id',
+  'data-component-id',
+  'data-embed-id',
+];
+
+/** Component chrome that carries no content: toolbars, "Add item" buttons, menus. */
+export const LOOP_COMPONENT_CHROME_SELECTORS = [
+  '[role="toolbar"]',
+  '[role="menu"]',
+  'button',
+  '[class*="AddRow"]',
+  '[class*="addRow"]',
+];
+
+/** Coloured label pills (table "Label" columns, status values). */
+export const LOOP_LABEL_SELECTORS = [
+  '[data-label-id]',
+  '[data-component-type="label"]',
+  '[class*="LabelPill"]',
+  '[class*="labelPill"]',
+];
+
+/** People chips inside cells (assignees, voters, askers). */
+export const LOOP_PERSON_SELECTORS = [
+  '[data-person-id]',
+  '[data-mention]',
+  '[class*="Persona"]',
+  '[class*="persona"]',
+];
+
+/** Q&A items. */
+export const LOOP_QNA_QUESTION_SELECTORS = [
+  '[data-qna="question"]',
+  '[class*="QuestionItem"]',
+  '[class*="questionItem"]',
+];
+export const LOOP_QNA_ANSWER_SELECTORS = [
+  '[data-qna="answer"]',
+  '[class*="AnswerItem"]',
+  '[class*="answerItem"]',
+];
+
+// ─── Dates (matched by dates.js) ─────────────────────────────────────────────
+
+/** Date chips (due dates, date cells, inline date components). */
+export const LOOP_DATE_SELECTORS = [
+  'time[datetime]',
+  '[data-date]',
+  '[data-component-type="date"]',
+  '[data-component-type="dateChip"]',
+  '[class*="DateChip"]',
+  '[class*="dateChip"]',
+];
+
+// ─── @mentions (matched by people.js) ────────────────────────────────────────
+
+/** Inline @mention pills in page text. */
+export const LOOP_MENTION_SELECTORS = [
+  '[data-mention]',
+  '[data-component-type="mention"]',
+  '[class*="mention"]',
+  '[class*="Mention"]',
+];
+
+// ─── File cards (matched by attachments.js) ──────────────────────────────────
+
+/** Attachment cards: a file shown as a tile with its name and icon. */
+export const LOOP_FILE_CARD_SELECTORS = [
+  '[data-testid*="file-card"]',
+  '[data-component-type="file"]',
+  '[data-file-url]',
+  '[class*="FileCard"]',
+  '[class*="fileCard"]',
+];
+
+/** The file name on a card. */
+export const LOOP_FILE_CARD_NAME_SELECTORS = [
+  '[data-testid*="file-name"]',
+  '[class*="FileName"]',
+  '[class*="fileName"]',
+];
+
+/** Attributes holding a card's file URL, when it has no <a href>. */
+export const LOOP_FILE_CARD_URL_ATTRIBUTES = [
+  'data-file-url',
+  'data-href',
+  'data-url',
+];
+
+// ─── Callouts, quotes, highlights (matched by callouts.js) ───────────────────
+
+/** Callout / info block containers. */
+export const LOOP_CALLOUT_SELECTORS = [
+  '[data-component-type="callout"]',
+  '[data-block-type="callout"]',
+  '[data-callout]',
+  '[class*="Callout"]',
+  '[class*="callout"]',
+];
+
+/** The emoji/icon at the start of a callout. */
+export const LOOP_CALLOUT_ICON_SELECTORS = [
+  '[data-testid="callout-icon"]',
+  '[class*="CalloutIcon"]',
+  '[class*="calloutIcon"]',
+  '[class*="Emoji"]',
+  '[class*="emoji"]',
+];
+
+/** Quote blocks Loop renders as divs rather than <blockquote>. */
+export const LOOP_QUOTE_SELECTORS = [
+  '[data-block-type="quote"]',
+  '[class*="QuoteBlock"]',
+  '[class*="quoteBlock"]',
+];
+
+/** Highlighted inline text (besides <mark> and inline background colours). */
+export const LOOP_HIGHLIGHT_SELECTORS = [
+  '[data-highlight]',
+  '[class*="Highlight"]',
+  '[class*="highlight"]',
+];
+
+/** Inline code spans Loop renders as styled <span>s (code blocks: see code.js). */
+export const LOOP_INLINE_CODE_SELECTORS = [
+  '[data-inline-code]',
+  '[class*="InlineCode"]',
+  '[class*="inlineCode"]',
+];
+
+/** Equations: Loop's equation wrapper, KaTeX, MathJax and bare MathML (see math.js). */
+export const LOOP_MATH_SELECTORS = [
+  '[data-tex]',
+  '[data-latex]',
+  '[class*="EquationBlock"]',
+  '[class*="equationBlock"]',
+  '[class*="InlineEquation"]',
+  '[class*="inlineEquation"]',
+  '.katex-display',
+  '.katex',
+  'mjx-container',
+  'math',
+];
+
 // ─── Subpage expansion / chevron ─────────────────────────────────────────────
 
 export const EXPAND_BUTTON_SELECTORS = [
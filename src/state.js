@@ -0,0 +1,136 @@
+/**
+ * state.js — Export checkpoint file (<outputRoot>/export-state.json).
+ *
+ * The export pass records every page it writes: source URL, output path
+ * (relative to the output root), a hash of the extracted content and the
+ * export time. Later runs use it to:
+ *   --resume        skip pages already written (e.g. after a crash)
+ *   --changed-only  re-navigate, but only rewrite pages whose content changed
+ *
+ * It also keeps `paths`: the name and output path assigned to every page (and
+ * workspace) by the planner, so names stay stable across runs and links
+ * between exported files keep pointing at the same place.
+ *
+ * And `people`: everyone @mentioned, with the keys of the pages mentioning
+ * them, from which people.js writes the people directory; and `components`:
+ * the pages holding each component with a source ID, and the file it was
+ * written to once shared (see transclusion.js). `binaryAssets` lists the assets saved as .bin because
+ * their type couldn't be told (see assets.js): other .bin files predate type
+ * detection and are downloaded again.
+ *
+ * The file is rewritten after every page so an interrupted run loses at most
+ * the page in flight.
+ */
+
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { toPosix } from './helpers.js';
+
+export const STATE_FILENAME = 'export-state.json';
+export const STATE_SCHEMA_VERSION = 1;
+
+/**
+ * Load the checkpoint file, or return an empty state if there is none.
+ * @param {string} outputRoot
+ * @returns {{ schemaVersion: number, updatedAt: string|null, pages: Record<string, object>, paths: Record<string, object>, people: Record<string, object>, components: Record<string, object>, binaryAssets: string[] }}
+ */
+export function loadState(outputRoot) {
+  const statePath = path.join(outputRoot, STATE_FILENAME);
+  if (!existsSync(statePath)) return emptyState();
+
+  try {
+    const state = JSON.parse(readFileSync(statePath, 'utf8'));
+    if (!isObject(state) || !isObject(state.pages)) {
+      console.warn(`⚠️  ${statePath} is not a checkpoint (no "pages" object) — starting with an empty checkpoint.`);
+      return emptyState();
+    }
+    return {
+      ...state,
+      paths: isObject(state.paths) ? state.paths : {},
+      people: isObject(state.people) ? state.people : {},
+      components: isObject(state.components) ? state.components : {},
+      binaryAssets: Array.isArray(state.binaryAssets) ? state.binaryAssets : [],
+    };
+  } catch (err) {
+    console.warn(`⚠️  Could not read ${statePath} (${err.message}) — starting with an empty checkpoint.`);
+    return emptyState();
+  }
+}
+
+/**
+ * Write the checkpoint file atomically (temp file + rename), so a crash
+ * mid-write never leaves a truncated state behind.
+ */
+export function saveState(outputRoot, state) {
+  mkdirSync(outputRoot, { recursive: true });
+  const statePath = path.join(outputRoot, STATE_FILENAME);
+  const tmpPath = `${statePath}.tmp`;
+  state.updatedAt = new Date().toISOString();
+  writeFileSync(tmpPath, JSON.stringify(state, null, 2), 'utf8');
+  renameSync(tmpPath, statePath);
+}
+
+/**
+ * Stable key for a manifest page. URLs survive re-inventory better than the
+ * synthetic IDs built from sidebar position, so prefer them.
+ */
+export function pageKey(pageEntry) {
+  return pageEntry.url || `id:${pageEntry.id}`;
+}
+
+/** Previously recorded state for a page, or null. */
+export function getPageState(state, pageEntry) {
+  return state.pages[pageKey(pageEntry)] || null;
+}
+
+/**
+ * Record a successfully exported page.
+ * @param {object} state
+ * @param {object} pageEntry   - Manifest page
+ * @param {object} entry       - { title, file (relative to output root), contentHash }
+ */
+export function recordPage(state, pageEntry, entry) {
+  state.pages[pageKey(pageEntry)] = {
+    id: pageEntry.id || null,
+    url: pageEntry.url || null,
+    ...entry,
+    exportedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * The state's `binaryAssets` as a set of absolute paths, for assets.js
+ * (context.binaryAssets). Saved with the rest of the state.
+ * @param {object} state
+ * @param {string} outputRoot
+ * @returns {{ has: (file: string) => boolean, add: (file: string) => void }}
+ */
+export function binaryAssetSet(state, outputRoot) {
+  const rel = (file) => toPosix(path.relative(outputRoot, file));
+  return {
+    has: (file) => state.binaryAssets.includes(rel(file)),
+    add: (file) => {
+      if (!state.binaryAssets.includes(rel(file))) state.binaryAssets.push(rel(file));
+    },
+  };
+}
+
+/**
+ * Hash of the content extracted from a page (title + raw content HTML),
+ * taken before asset download so unrelated local rewrites don't count as changes.
+ */
+export function contentHash(title, html) {
+  return crypto
+    .createHash('sha256')
+    .update(`${title || ''}\n${html || ''}`)
+    .digest('hex');
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function emptyState() {
+  return { schemaVersion: STATE_SCHEMA_VERSION, updatedAt: null, pages: {}, paths: {}, people: {}, components: {}, binaryAssets: [] };
+}
@@ -0,0 +1,209 @@
+/**
+ * tables.js — HTML tables → GFM tables, with an HTML fallback and CSV sidecars.
+ *
+ * turndown-plugin-gfm only converts tables whose first row is a header and
+ * silently keeps or mangles the rest. This converter reads every <table> into
+ * a grid first (expanding colspan/rowspan), then:
+ *   - writes a GFM table when GFM can express it: multi-line cells and lists
+ *     are joined with <br>; a table without a header row gets an empty one
+ *   - falls back to a cleaned-up inline HTML <table> when it can't: merged
+ *     cells, or cells holding code blocks, quotes or nested tables
+ *
+ * Every table converted (here or by components.js for Loop grids) is also
+ * recorded as plain rows, so the exporter can write CSV sidecars next to the
+ * page (--tables-csv).
+ */
+
+import { decodeEntities } from './helpers.js';
+import { currentConversion } from './conversion.js';
+
+// Block content a GFM cell can't hold, even with <br>
+const UNREPRESENTABLE_IN_CELL = 'pre, table, blockquote';
+
+// Attributes kept on elements in the HTML fallback
+const KEPT_ATTRIBUTES = ['colspan', 'rowspan', 'href', 'src', 'alt', 'title'];
+
+/**
+ * Add the table rule to a Turndown service.
+ * @param {import('turndown')} td
+ */
+export function addTableRules(td) {
+  td.addRule('loop-table', {
+    filter: (node) => node.nodeName === 'TABLE',
+    replacement: (content, node) => `\n\n${tableToMarkdown(td, node)}\n\n`,
+  });
+}
+
+/**
+ * Record a converted table (plain-text cells) for CSV export, in the
+ * conversion's `tables` (conversion.js).
+ * @param {string[]} header
+ * @param {string[][]} rows
+ */
+export function recordTable(header, rows) {
+  currentConversion()?.tables.push({ header, rows });
+}
+
+/**
+ * A GFM table. Rows shorter than `width` are padded with empty cells.
+ * @param {string[]} header   - Already escaped
+ * @param {string[][]} rows   - Already escaped
+ * @param {number} [width]
+ * @returns {string}
+ */
+export function toGfmTable(header, rows, width = header.length) {
+  const pad = (cells) => Array.from({ length: width }, (_, i) => cells[i] ?? '');
+  const line = (cells) => `| ${pad(cells).map((c) => c || ' ').join(' | ')} |`;
+  return [
+    line(header),
+    line(Array(width).fill('---')),
+    ...rows.map(line),
+  ].join('\n');
+}
+
+/** Make inline Markdown safe inside a table cell; line breaks become <br>. */
+export function escapeCell(text) {
+  return (text || '')
+    .trim()
+    // Turndown's hard breaks end in two spaces, which would sit before the <br>
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\|/g, '\\|')
+    .replace(/\n+/g, '<br>');
+}
+
+/** The plain text of an escaped cell, for CSV. */
+export function unescapeCell(text) {
+  return (text || '').replace(/<br>/g, '\n').replace(/\\\|/g, '|');
+}
+
+/**
+ * Rows as CSV (RFC 4180: CRLF line ends, fields quoted when needed).
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const field = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return rows.map((row) => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+// ─── <table> → Markdown ───────────────────────────────────────────────────────
+
+function tableToMarkdown(td, table) {
+  const { grid, width, merged, hasHeader } = readTable(table);
+  if (!grid.length) return '';
+
+  const blocky = Array.from(table.querySelectorAll(UNREPRESENTABLE_IN_CELL)).length > 0;
+  const cellText = (cell) => (cell && !cell.spanned ? plainText(cell.el) : '');
+  const plainRows = grid.map((row) => row.map(cellText));
+  const header = hasHeader ? plainRows[0] : Array(width).fill('');
+  recordTable(header, hasHeader ? plainRows.slice(1) : plainRows);
+
+  if (merged || blocky) return htmlTable(table);
+
+  const markdownRows = grid.map((row) => row.map((cell) => (cell ? escapeCell(cellMarkdown(td, cell.el)) : '')));
+  return hasHeader
+    ? toGfmTable(markdownRows[0], markdownRows.slice(1), width)
+    : toGfmTable(Array(width).fill(''), markdownRows, width);
+}
+
+/**
+ * Lay a table's cells out on a grid, expanding colspan/rowspan.
+ * Cells covered by a span are `{ spanned: true }`.
+ * @returns {{ grid: object[][], width: number, merged: boolean, hasHeader: boolean }}
+ */
+function readTable(table) {
+  // Rows of this table only, not of tables nested in its cells
+  const rows = Array.from(table.querySelectorAll('tr')).filter((tr) => closestTable(tr) === table);
+  const grid = [];
+  let merged = false;
+
+  rows.forEach((tr, r) => {
+    grid[r] = grid[r] || [];
+    let c = 0;
+    for (const el of Array.from(tr.childNodes).filter((n) => n.nodeName === 'TD' || n.nodeName === 'TH')) {
+      while (grid[r][c]) c++;
+      const colspan = Math.max(1, parseInt(el.getAttribute('colspan'), 10) || 1);
+      const rowspan = Math.max(1, parseInt(el.getAttribute('rowspan'), 10) || 1);
+      if (colspan > 1 || rowspan > 1) merged = true;
+      for (let dr = 0; dr < rowspan; dr++) {
+        grid[r + dr] = grid[r + dr] || [];
+        for (let dc = 0; dc < colspan; dc++) {
+          grid[r + dr][c + dc] = dr === 0 && dc === 0 ? { el } : { spanned: true };
+        }
+      }
+      c += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  const first = rows[0];
+  const hasHeader = Boolean(first) && (
+    first.parentNode?.nodeName === 'THEAD' ||
+    Array.from(first.childNodes).filter((n) => n.nodeType === 1).every((n) => n.nodeName === 'TH')
+  );
+  return { grid: grid.filter((row) => row.length), width, merged, hasHeader };
+}
+
+function closestTable(el) {
+  for (let node = el.parentNode; node; node = node.parentNode) {
+    if (node.nodeName === 'TABLE') return node;
+  }
+  return null;
+}
+
+function cellMarkdown(td, el) {
+  return td.turndown(el.innerHTML)
+    // Paragraphs/list items inside the cell: one <br> per line break
+    .replace(/\n{2,}/g, '\n')
+    .replace(/^(\s*)(-|\d+\.)\s+/gm, '$1$2 ')
+    .trim();
+}
+
+/**
+ * A cell's text without markup, for CSV: line breaks kept, spaces squeezed.
+ * @param {Element} el
+ * @returns {string}
+ */
+export function plainText(el) {
+  const html = el.innerHTML
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n');
+  return decodeEntities(html.replace(/<[^>]*>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{2,}/g, '\n')
+    .trim();
+}
+
+// ─── HTML fallback ────────────────────────────────────────────────────────────
+
+/** The table as HTML with Loop's classes, styles and data attributes removed. */
+function htmlTable(table) {
+  const copy = table.cloneNode(true);
+  const clean = (el) => {
+    // Links to exported pages (links.js, wikilink style): the Loop URL is still
+    // in href. HTML can't hold a wikilink, so link to the vault path the way
+    // Obsidian's own internal links do
+    const wikilink = el.nodeName === 'A' && el.getAttribute('data-wikilink');
+    for (const { name } of Array.from(el.attributes || [])) {
+      if (!KEPT_ATTRIBUTES.includes(name.toLowerCase())) el.removeAttribute(name);
+    }
+    if (wikilink) {
+      el.setAttribute('href', wikilink);
+      el.setAttribute('class', 'internal-link');
+      el.setAttribute('data-href', wikilink);
+    }
+    for (const child of Array.from(el.childNodes)) {
+      if (child.nodeType === 1) {
+        if (['SCRIPT', 'STYLE', 'BUTTON'].includes(child.nodeName)) el.removeChild(child);
+        else clean(child);
+      }
+    }
+  };
+  clean(copy);
+  // Blank lines would end the HTML block in CommonMark
+  return copy.outerHTML.replace(/\n\s*\n/g, '\n');
+}
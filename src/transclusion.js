@@ -0,0 +1,250 @@
+/**
+ * transclusion.js — Shared Loop components → one file each, embedded where used.
+ *
+ * A Loop component can sit on several pages at once, or be embedded from
+ * another page; it is the same live object everywhere. Rather than copy it
+ * into every page, the rule below recognises it by its source ID (see
+ * LOOP_SHARED_COMPONENT_ID_ATTRIBUTES) and, once that ID has been seen on more
+ * than one page, writes its Markdown once to _components/<name>.md and leaves
+ * an embed in the page, in the layout's syntax:
+ *
+ *   obsidian    ![[_components/sprint-board]]
+ *   mkdocs      --8<-- "_components/sprint-board.md"      (pymdownx.snippets)
+ *   docusaurus  <LoopSprintBoard />                        (MDX partial; its
+ *               import LoopSprintBoard from '../_components/sprint-board.md';
+ *               goes after the frontmatter, as MDX only allows top-level imports)
+ *   commonmark  <!-- include: ../_components/sprint-board.md -->
+ *               > Shared component: [Sprint board](../_components/sprint-board.md)
+ *
+ * A component found on a single page stays inline. Pages are exported one at
+ * a time, so the first page to hold a component keeps it inline until it is
+ * exported again; the store reports such pages (see write()).
+ *
+ * Component files have no frontmatter, since snippets and partials are pasted
+ * into the page as-is. They are written at the end of the run, from pages
+ * that were written successfully. Which pages hold which component is kept in
+ * export-state.json (`components`).
+ */
+
+import path from 'path';
+import { writeFileSync, mkdirSync, existsSync, readFileSync } from 'fs';
+import { LOOP_SHARED_COMPONENT_ID_ATTRIBUTES, LOOP_COMPONENT_TITLE_SELECTORS } from './selectors.js';
+import { componentKind } from './components.js';
+import { createNameAllocator } from './naming.js';
+import { formatLink } from './links.js';
+import { toPosix } from './helpers.js';
+import { currentConversion } from './conversion.js';
+
+// Set on the copy of a component converted for its own file, so the rule
+// doesn't match it a second time
+const CONVERTING = 'data-loop-transcluding';
+
+/**
+ * Add the shared component rule to a Turndown service. It only fires in a
+ * conversion with a component embed function (conversion.js); otherwise
+ * components stay inline. Components converted are recorded in the
+ * conversion's `components`, and their imports in `imports`.
+ * @param {import('turndown')} td
+ */
+export function addTransclusionRules(td) {
+  td.addRule('loop-shared-component', {
+    filter: (node) => Boolean(currentConversion()?.componentEmbed) && Boolean(sourceId(node)) &&
+      !node.hasAttribute(CONVERTING) && !closestShared(node.parentNode),
+    replacement: (content, node) => {
+      const copy = node.cloneNode(true);
+      copy.setAttribute(CONVERTING, '');
+      const markdown = td.turndown(copy.outerHTML).trim();
+      if (!markdown) return '';
+
+      const conversion = currentConversion();
+      const id = sourceId(node);
+      const component = { id, title: componentTitle(node), markdown };
+      const embed = conversion.componentEmbed(component);
+      conversion.components.push({ ...component, embedded: Boolean(embed) });
+      if (embed?.import && !conversion.imports.includes(embed.import)) conversion.imports.push(embed.import);
+      return `\n\n${embed?.markdown || markdown}\n\n`;
+    },
+  });
+}
+
+/**
+ * The shared components folder for one export run, backed by `state.components`:
+ * component ID → { title, slug, pages (keys of the pages holding it), inlined
+ * (those of them that kept it inline) }. `slug` is set once the component is shared.
+ *
+ * @param {object} state       - From state.loadState (mutated)
+ * @param {string} outputRoot
+ * @param {object} opts
+ * @param {string} opts.dir     - Folder name under the content root (config components.dir)
+ * @param {object} opts.layout  - From layouts.resolveLayout
+ */
+export function createComponentStore(state, outputRoot, { dir, layout }) {
+  state.components = state.components || {};
+  const componentsDir = path.join(outputRoot, layout.contentDir, dir);
+  const names = createNameAllocator(
+    Object.fromEntries(Object.entries(state.components).map(([id, c]) => [id, { name: c.slug }]))
+  );
+  for (const [id, c] of Object.entries(state.components)) names.reserve(componentsDir, id, c.title);
+
+  // Component ID → its Markdown, rebased for the components folder, from the
+  // last page recorded this run
+  const contents = new Map();
+
+  const isShared = (entry) => entry.pages.length > 1;
+
+  return {
+    dir: componentsDir,
+
+    /**
+     * The embed for a component on the page being written to `fromFile`, or
+     * null to keep it inline: it has not been seen on any other page. Writes
+     * nothing; see recordPage and write.
+     * @param {{ id: string, title: string, markdown: string }} component
+     * @param {string} fromFile
+     * @param {string} key - The page's key (see state.pageKey)
+     * @returns {{ markdown: string, import: string|null }|null} The embed, and the import
+     *   statement it needs at the top of the page (MDX only)
+     */
+    embed(component, fromFile, key) {
+      const entry = state.components[component.id];
+      if (!entry?.pages.some((k) => k !== key)) return null;
+      const slug = entry.slug || names.claim(componentsDir, component.id, entry.title);
+      return embedSyntax(layout, {
+        title: entry.title,
+        slug,
+        file: path.join(componentsDir, `${slug}.md`),
+        fromFile,
+        outputRoot,
+      });
+    },
+
+    /**
+     * Replace the list of components a page holds, once the page is written.
+     * @param {string} key          - The page's key (see state.pageKey)
+     * @param {object[]} components - A conversion's `components` (conversion.js)
+     * @param {string} fromFile     - Where the page was written
+     */
+    recordPage(key, components, fromFile) {
+      for (const entry of Object.values(state.components)) {
+        entry.pages = entry.pages.filter((k) => k !== key);
+        entry.inlined = (entry.inlined || []).filter((k) => k !== key);
+      }
+      for (const { id, title, markdown, embedded } of components) {
+        if (!state.components[id]) state.components[id] = { title, slug: null, pages: [], inlined: [] };
+        const entry = state.components[id];
+        if (!entry.pages.includes(key)) entry.pages.push(key);
+        if (!embedded && !entry.inlined.includes(key)) entry.inlined.push(key);
+        // Relative links and images were written for the page, not the component file
+        contents.set(id, `${rebaseLinks(markdown, path.dirname(fromFile), componentsDir)}\n`);
+      }
+    },
+
+    /**
+     * Write the file of every shared component recorded this run (if its
+     * content changed). Pages that still hold a shared component inline get
+     * their content hash cleared, so --changed-only exports them again.
+     * @returns {{ written: string[], stale: string[] }} Files written, and the
+     *   keys of the pages holding a shared component inline
+     */
+    write() {
+      const written = [];
+      for (const [id, markdown] of contents) {
+        const entry = state.components[id];
+        if (!entry || !isShared(entry)) continue;
+        entry.slug = entry.slug || names.claim(componentsDir, id, entry.title);
+        const file = path.join(componentsDir, `${entry.slug}.md`);
+        if (!existsSync(file) || readFileSync(file, 'utf8') !== markdown) {
+          mkdirSync(componentsDir, { recursive: true });
+          writeFileSync(file, markdown, 'utf8');
+        }
+        written.push(file);
+      }
+
+      const stale = new Set();
+      for (const entry of Object.values(state.components)) {
+        if (!isShared(entry)) continue;
+        for (const key of entry.inlined || []) {
+          stale.add(key);
+          if (state.pages[key]) state.pages[key].contentHash = null;
+        }
+      }
+      return { written, stale: [...stale] };
+    },
+  };
+}
+
+// ─── Embeds ───────────────────────────────────────────────────────────────────
+
+function embedSyntax(layout, { title, slug, file, fromFile, outputRoot }) {
+  const relative = toPosix(path.relative(path.dirname(fromFile), file));
+  const embed = (markdown, importStatement = null) => ({ markdown, import: importStatement });
+  switch (layout.transclusion) {
+    case 'embed':
+      return embed(`![[${toPosix(path.relative(outputRoot, file)).replace(/\.md$/, '')}]]`);
+    case 'snippet':
+      // pymdownx.snippets resolves paths from the docs dir (see layouts.js)
+      return embed(`--8<-- "${toPosix(path.relative(path.join(outputRoot, layout.contentDir), file))}"`);
+    case 'mdx': {
+      // MDX only allows imports at the top level: the page puts them after its frontmatter
+      const name = `Loop${slug.split('-').map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join('')}`;
+      const specifier = relative.startsWith('.') ? relative : `./${relative}`;
+      return embed(`<${name} />`, `import ${name} from '${specifier}';`);
+    }
+    case 'link':
+    default:
+      return embed(`<!-- include: ${relative} -->\n> Shared component: ${formatLink(title, file, fromFile, { outputRoot, linkStyle: layout.linkStyle })}`);
+  }
+}
+
+// ─── Detection ────────────────────────────────────────────────────────────────
+
+function sourceId(node) {
+  if (node.nodeType !== 1) return null;
+  for (const name of LOOP_SHARED_COMPONENT_ID_ATTRIBUTES) {
+    const id = node.getAttribute(name)?.trim();
+    if (id) return id;
+  }
+  return null;
+}
+
+function closestShared(node) {
+  for (let el = node; el && el.nodeType === 1; el = el.parentNode) {
+    if (sourceId(el)) return el;
+  }
+  return null;
+}
+
+/** The component's title bar text, else its kind ("statusTracker" → "Status tracker"). */
+function componentTitle(node) {
+  for (const sel of LOOP_COMPONENT_TITLE_SELECTORS) {
+    const text = node.querySelector(sel)?.textContent.replace(/\s+/g, ' ').trim();
+    if (text) return text;
+  }
+  const kind = componentKind(node) || Array.from(node.querySelectorAll('*')).map(componentKind).find(Boolean);
+  if (!kind) return 'Component';
+  const words = kind.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Point relative Markdown/HTML links and images written for `fromDir` at the same targets from `toDir`. */
+function rebaseLinks(markdown, fromDir, toDir) {
+  const rebase = (target) => {
+    if (/^([a-z][a-z0-9+.-]*:|#|\/)/i.test(target)) return target;
+    const [file, fragment = ''] = target.split(/(?=#)/);
+    const rebased = toPosix(path.relative(toDir, path.resolve(fromDir, safeDecodeUri(file))));
+    return `${rebased.replace(/[ ()<>]/g, (c) => encodeURIComponent(c))}${fragment}`;
+  };
+  return markdown
+    .replace(/(\]\()([^)\s]+)(\))/g, (m, open, target, close) => `${open}${rebase(target)}${close}`)
+    .replace(/(\s(?:src|href)=")([^"]+)(")/g, (m, open, target, close) => `${open}${rebase(target)}${close}`);
+}
+
+function safeDecodeUri(uri) {
+  try {
+    return decodeURI(uri);
+  } catch {
+    return uri;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * yaml.js — Minimal YAML emitter for frontmatter and generated config files.
+ *
+ * Only emits (never parses). Strings are always double-quoted with full
+ * escaping, so titles containing quotes, backslashes, newlines, colons or
+ * leading `#`/`-`/`*` can never break the document. Objects and arrays are
+ * written in block style; empty ones in flow style (`{}` / `[]`).
+ */
+
+const PLAIN_KEY = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * Serialise a mapping as YAML lines (no `---` fences).
+ * Keys whose value is undefined are skipped.
+ * @param {object} obj
+ * @returns {string} YAML text ending with a newline (empty string for {})
+ */
+export function toYaml(obj) {
+  return emitMapping(obj, 0).map((line) => line + '\n').join('');
+}
+
+/**
+ * Wrap a mapping in `---` fences for use as Markdown frontmatter.
+ * @param {object} fields
+ * @returns {string}
+ */
+export function toFrontmatter(fields) {
+  return `---\n${toYaml(fields)}---\n\n`;
+}
+
+/** A single YAML scalar (string, number, boolean, null or Date). */
+export function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return quote(value.toISOString());
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : quote(String(value));
+  return quote(String(value));
+}
+
+// ─── Emitters ─────────────────────────────────────────────────────────────────
+
+function emitMapping(obj, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined) continue;
+    const k = PLAIN_KEY.test(key) ? key : quote(key);
+    if (isBlock(value)) {
+      lines.push(`${pad}${k}:`);
+      lines.push(...emitBlock(value, indent + 2));
+    } else {
+      lines.push(`${pad}${k}: ${emitInline(value)}`);
+    }
+  }
+  return lines;
+}
+
+function emitSequence(arr, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+  for (const item of arr) {
+    if (isBlock(item)) {
+      // First line of the nested block goes on the dash line
+      const nested = emitBlock(item, indent + 2);
+      lines.push(`${pad}- ${nested[0].trimStart()}`);
+      lines.push(...nested.slice(1));
+    } else {
+      lines.push(`${pad}- ${emitInline(item)}`);
+    }
+  }
+  return lines;
+}
+
+function emitBlock(value, indent) {
+  return Array.isArray(value) ? emitSequence(value, indent) : emitMapping(value, indent);
+}
+
+function emitInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (isPlainObject(value)) return '{}';
+  return yamlScalar(value);
+}
+
+function isBlock(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return isPlainObject(value) && Object.values(value).some((v) => v !== undefined);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+}
+
+function quote(str) {
+  const escaped = str.replace(/[\\"\u0000-\u001f\u007f-\u009f\u2028\u2029\ufeff]/g, (c) => {
+    switch (c) {
+      case '\\': return '\\\\';
+      case '"': return '\\"';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      default: return `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`;
+    }
+  });
+  return `"${escaped}"`;
+}
@@ -0,0 +1,256 @@
+/**
+ * assets.test.js — File types of downloaded assets (extension from the
+ * Content-Type, else the magic bytes, else the URL), against a local server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { request } from 'playwright';
+import { mkdtempSync, rmSync, readdirSync, statSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { downloadAsset, createDownloadQueue, rewriteImages, sniffExt, mimeToExt, deriveFilename, captureBearerTokens } from '../src/assets.js';
+import { binaryAssetSet } from '../src/state.js';
+
+const bytes = (...parts) => Buffer.concat(parts.map((p) => (typeof p === 'string' ? Buffer.from(p, 'latin1') : Buffer.from(p))));
+const ftyp = (brand) => bytes([0, 0, 0, 0x18], 'ftyp', brand, [0, 0, 0, 0]);
+
+// ─── Magic bytes ──────────────────────────────────────────────────────────────
+
+test('sniffExt recognises each magic-byte signature', () => {
+  const cases = {
+    png: bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    jpg: bytes([0xff, 0xd8, 0xff, 0xe0]),
+    gif: bytes('GIF89a'),
+    webp: bytes('RIFF', [0, 0, 0, 0], 'WEBPVP8 '),
+    wav: bytes('RIFF', [0, 0, 0, 0], 'WAVEfmt '),
+    bmp: bytes('BM', [0, 0, 0, 0]),
+    tiff: bytes('II*\0'),
+    ico: bytes([0, 0, 1, 0, 1, 0]),
+    pdf: bytes('%PDF-1.7\n'),
+    mp4: ftyp('isom'),
+    mov: ftyp('qt  '),
+    m4a: ftyp('M4A '),
+    heic: ftyp('heic'),
+    avif: ftyp('avif'),
+    webm: bytes([0x1a, 0x45, 0xdf, 0xa3], '\x9fB\x86\x81\x01B\x82\x84webm'),
+    mkv: bytes([0x1a, 0x45, 0xdf, 0xa3], '\x9fB\x86\x81\x01B\x82\x88matroska'),
+    mp3: bytes('ID3\x04'),
+    ogg: bytes('OggS'),
+    docx: bytes([0x50, 0x4b, 0x03, 0x04], '\0'.repeat(26), 'word/document.xml'),
+    xlsx: bytes([0x50, 0x4b, 0x03, 0x04], '\0'.repeat(26), 'xl/workbook.xml'),
+    pptx: bytes([0x50, 0x4b, 0x03, 0x04], '\0'.repeat(26), 'ppt/presentation.xml'),
+    zip: bytes([0x50, 0x4b, 0x03, 0x04], '\0'.repeat(26), 'notes.txt'),
+    doc: bytes([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  };
+  for (const [ext, head] of Object.entries(cases)) {
+    assert.equal(sniffExt(head), ext, ext);
+  }
+});
+
+test('sniffExt recognises SVG text, with or without an XML prolog', () => {
+  assert.equal(sniffExt(Buffer.from('  <svg xmlns="http://www.w3.org/2000/svg"></svg>')), 'svg');
+  assert.equal(sniffExt(Buffer.from('<?xml version="1.0"?>\n<!-- x -->\n<svg></svg>')), 'svg');
+  assert.equal(sniffExt(Buffer.from('<?xml version="1.0"?><feed></feed>')), null);
+});
+
+test('sniffExt returns null for unknown bytes', () => {
+  assert.equal(sniffExt(Buffer.from('\x00\x01mystery')), null);
+  assert.equal(sniffExt(Buffer.alloc(0)), null);
+});
+
+// ─── Content-Type and URL ─────────────────────────────────────────────────────
+
+test('mimeToExt ignores parameters and case', () => {
+  assert.equal(mimeToExt('image/png; charset=binary'), 'png');
+  assert.equal(mimeToExt('Image/JPEG'), 'jpg');
+  assert.equal(mimeToExt('application/vnd.openxmlformats-officedocument.wordprocessingml.document'), 'docx');
+  assert.equal(mimeToExt('application/octet-stream'), null);
+  assert.equal(mimeToExt(null), null);
+});
+
+test('deriveFilename only trusts known extensions from the URL', () => {
+  assert.equal(deriveFilename('https://contoso.sharepoint.com/_layouts/15/download.aspx?UniqueId=1').ext, '');
+  assert.match(deriveFilename('https://contoso.sharepoint.com/_layouts/15/download.aspx?UniqueId=1').stem, /^download_[0-9a-f]{6}$/);
+  assert.equal(deriveFilename('https://cdn.example.com/images/Logo.PNG?v=2').ext, 'png');
+  assert.equal(deriveFilename('https://cdn.example.com/blob/0a1b2c').ext, '');
+  // A real file name's extension is used as-is
+  assert.equal(deriveFilename('https://x.sharepoint.com/:b:/s/t/Ab?download=1', 'Q3 report.pdf').ext, 'pdf');
+});
+
+test('deriveFilename stems differ for the same basename at different URLs', () => {
+  const a = deriveFilename('https://a.example.com/img/logo.png').stem;
+  const b = deriveFilename('https://b.example.com/img/logo.png').stem;
+  assert.notEqual(a, b);
+  assert.match(a, /^logo_[0-9a-f]{6}$/);
+});
+
+// ─── Downloads ────────────────────────────────────────────────────────────────
+
+const PNG = bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+const ROUTES = {
+  '/typed': ['image/png; charset=binary', Buffer.from('not really a png')],
+  '/octet': ['application/octet-stream', PNG],
+  '/_layouts/15/download.aspx': ['application/octet-stream', bytes('%PDF-1.4\n')],
+  '/photo.jpg': ['application/octet-stream', Buffer.from('unknown bytes')],
+  '/mystery': ['application/octet-stream', Buffer.from('\x00\x01mystery')],
+  '/private.png': ['image/png', PNG],
+  '/disposed': ['application/octet-stream', Buffer.from('PK\x03\x04')],
+  // HEAD refused and Range honoured, like SharePoint's download endpoints
+  '/ranged.png': ['image/png', Buffer.concat([PNG, Buffer.alloc(989)])],
+  '/empty.png': ['image/png', Buffer.alloc(0)],
+  // Range ignored: the whole body comes back
+  '/unranged.png': ['image/png', Buffer.concat([PNG, Buffer.alloc(989)])],
+};
+const served = [];
+
+let server;
+let base;
+let dir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [type, body] = ROUTES[new URL(req.url, 'http://x').pathname] || [];
+    served.push({ method: req.method, url: req.url, range: req.headers.range || null });
+    if (req.url === '/private.png' && req.headers.authorization !== 'Bearer app-token') {
+      res.statusCode = 401;
+      return res.end();
+    }
+    if (!body) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.setHeader('content-type', type);
+    if (req.url === '/disposed') res.setHeader('content-disposition', "attachment; filename*=UTF-8''Q3%20budget.xlsx");
+    if (req.method === 'HEAD' && /^\/(un)?ranged|empty/.test(req.url)) {
+      res.statusCode = 405;
+      return res.end();
+    }
+    const range = /^bytes=0-(\d+)$/.exec(req.headers.range || '');
+    if (range && req.url !== '/unranged.png') {
+      if (!body.length) {
+        res.statusCode = 416;
+        return res.end();
+      }
+      const part = body.subarray(0, Number(range[1]) + 1);
+      res.statusCode = 206;
+      res.setHeader('content-range', `bytes 0-${part.length - 1}/${body.length}`);
+      return res.end(part);
+    }
+    res.end(body);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  dir = mkdtempSync(path.join(os.tmpdir(), 'loop-assets-'));
+});
+
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const extOf = (local) => local && path.extname(local).slice(1);
+
+test('Content-Type with parameters decides the extension', async () => {
+  assert.equal(extOf(await downloadAsset(`${base}/typed`, dir)), 'png');
+});
+
+test('application/octet-stream falls back to magic bytes', async () => {
+  assert.equal(extOf(await downloadAsset(`${base}/octet`, dir)), 'png');
+  assert.equal(extOf(await downloadAsset(`${base}/_layouts/15/download.aspx?UniqueId=7`, dir)), 'pdf');
+});
+
+test('the URL extension is the last resort before .bin', async () => {
+  assert.equal(extOf(await downloadAsset(`${base}/photo.jpg`, dir)), 'jpg');
+  assert.equal(extOf(await downloadAsset(`${base}/mystery`, dir)), 'bin');
+  assert.ok(!readdirSync(dir).some((f) => f.endsWith('.download')), 'no temp files left');
+});
+
+test('the Content-Disposition file name decides the extension, before the one given', async () => {
+  assert.equal(extOf(await downloadAsset(`${base}/disposed`, path.join(dir, 'disposed'))), 'xlsx');
+  assert.equal(extOf(await downloadAsset(`${base}/disposed`, path.join(dir, 'named'), {}, { filename: 'notes.pdf' })), 'xlsx');
+});
+
+test('.bin files of unknown type are kept; older .bin files are downloaded again', async () => {
+  const state = { binaryAssets: [] };
+  const context = { binaryAssets: binaryAssetSet(state, dir) };
+  const assetsDir = path.join(dir, 'page', '_assets');
+
+  const first = await downloadAsset(`${base}/mystery`, assetsDir, context);
+  assert.equal(extOf(first), 'bin');
+  assert.deepEqual(state.binaryAssets, [`page/_assets/${path.basename(first)}`]);
+  const mtime = statSync(path.join(assetsDir, path.basename(first))).mtimeMs;
+  assert.equal(await downloadAsset(`${base}/mystery`, assetsDir, context), first);
+  assert.equal(statSync(path.join(assetsDir, path.basename(first))).mtimeMs, mtime, 'not rewritten');
+
+  // A .bin from before type detection, not in the state: replaced by a typed copy
+  const legacy = `${deriveFilename(`${base}/octet`).stem}.bin`;
+  writeFileSync(path.join(assetsDir, legacy), PNG);
+  assert.equal(extOf(await downloadAsset(`${base}/octet`, assetsDir, context)), 'png');
+});
+
+test('in-page fetch sends the bearer token the app used for that host', async () => {
+  // A stand-in BrowserContext emitting the app's requests, and a tab whose
+  // evaluate() runs the in-page function here (Node has fetch too)
+  const browserContext = new EventEmitter();
+  const appRequest = (url, authorization) => ({ url: () => url, headerValue: async () => authorization });
+  const tokens = captureBearerTokens(browserContext);
+  const page = { evaluate: (fn, arg) => fn(arg) };
+
+  const denied = await downloadAsset(`${base}/private.png`, path.join(dir, 'private'), { page, tokens });
+  assert.equal(denied, null);
+
+  browserContext.emit('request', appRequest('https://other.example.com/api', 'Bearer not-this-one'));
+  browserContext.emit('request', appRequest(`${base}/_api/web`, 'Bearer app-token'));
+  browserContext.emit('request', appRequest(`${base}/style.css`, null));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(tokens.forUrl(`${base}/anything`), 'Bearer app-token');
+
+  const strategies = {};
+  const local = await downloadAsset(`${base}/private.png`, path.join(dir, 'private'), { page, tokens, strategies });
+  assert.equal(extOf(local), 'png');
+  assert.deepEqual(strategies, { page: 1 });
+
+  tokens.stop();
+  assert.equal(browserContext.listenerCount('request'), 0);
+});
+
+test('the request API downloads files of unknown size without a HEAD, asking for a bounded range', async (t) => {
+  const api = await request.newContext();
+  t.after(() => api.dispose());
+  const strategies = {};
+  const context = { request: api, strategies };
+
+  served.length = 0;
+  const local = await downloadAsset(`${base}/ranged.png`, path.join(dir, 'request'), context);
+  assert.equal(extOf(local), 'png');
+  assert.equal(statSync(path.join(dir, 'request', path.basename(local))).size, 1000);
+  assert.deepEqual(served, [{ method: 'GET', url: '/ranged.png', range: `bytes=0-${64 * 1024 * 1024}` }]);
+
+  // An empty file has no range to give
+  assert.equal(extOf(await downloadAsset(`${base}/empty.png`, path.join(dir, 'request'), context)), 'png');
+  assert.deepEqual(strategies, { request: 2 });
+});
+
+test('the request API skips a file over maxSizeMB when HEAD gives no size', async (t) => {
+  const api = await request.newContext();
+  t.after(() => api.dispose());
+  const strategies = {};
+  const context = { request: api, strategies, queue: createDownloadQueue({ maxSizeMB: 500 / (1024 * 1024) }) };
+
+  served.length = 0;
+  assert.equal(await downloadAsset(`${base}/ranged.png`, path.join(dir, 'capped'), context), null);
+  assert.deepEqual(served.map((r) => `${r.method} ${r.range}`), ['HEAD null', 'GET bytes=0-500']);
+  assert.equal(await downloadAsset(`${base}/unranged.png`, path.join(dir, 'capped'), context), null);
+  assert.ok(!readdirSync(path.join(dir, 'capped')).length, 'nothing kept');
+  assert.deepEqual(strategies, {});
+});
+
+test('rewriteImages keeps $ patterns in alt text literally', async () => {
+  const store = { save: async () => './_assets/chart_1a2b3c.png' };
+  const html = '<p><img alt="Growth $& $\' $`" src="https://cdn.example.com/chart.png"> after</p>';
+  const { html: out } = await rewriteImages(html, dir, {}, { store });
+  assert.equal(out, '<p><img alt="Growth $& $\' $`" src="./_assets/chart_1a2b3c.png"> after</p>');
+});
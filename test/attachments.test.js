@@ -0,0 +1,46 @@
+/**
+ * attachments.test.js — Links to tenant files rewritten to their local copies.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rewriteAttachments } from '../src/attachments.js';
+
+const save = async () => './_assets/report_1a2b3c.pdf';
+
+test('link text with $ patterns is kept literally', async () => {
+  const html = '<p><a href="https://contoso.sharepoint.com/sites/t/Docs/report.pdf">Costs $& $\' $` $1</a></p>';
+  const { html: out, downloaded } = await rewriteAttachments(html, { save });
+  assert.equal(out, '<p><a href="./_assets/report_1a2b3c.pdf">Costs $& $\' $` $1</a></p>');
+  assert.equal(downloaded.length, 1);
+});
+
+test('file card URL attributes are rewritten without $ expansion', async () => {
+  const html = '<div data-file-url="https://contoso.sharepoint.com/sites/t/Docs/plan.pdf"></div>';
+  const { html: out } = await rewriteAttachments(html, { save: async () => "./_assets/Q3 $' plan.pdf" });
+  assert.equal(out, '<div data-file-url="./_assets/Q3 $\' plan.pdf"></div>');
+});
+
+test('the local path is escaped in href and file card attributes', async () => {
+  const local = async () => './_assets/Q&A "final".pdf';
+  const link = '<a href="https://contoso.sharepoint.com/sites/t/Docs/qa.pdf">Q&amp;A</a>';
+  assert.equal((await rewriteAttachments(link, { save: local })).html, '<a href="./_assets/Q&amp;A &quot;final&quot;.pdf">Q&amp;A</a>');
+  const card = '<div data-file-url="https://contoso.sharepoint.com/sites/t/Docs/qa.pdf"></div>';
+  assert.equal((await rewriteAttachments(card, { save: local })).html, '<div data-file-url="./_assets/Q&amp;A &quot;final&quot;.pdf"></div>');
+});
+
+test('the file name comes from the URL, else from link text with a known extension', async () => {
+  const names = [];
+  const record = async (url, { filename }) => {
+    names.push(filename);
+    return './_assets/file_1a2b3c.pdf';
+  };
+  const html = [
+    '<a href="https://contoso.sharepoint.com/sites/t/Docs/budget.xlsx">Budget v2.pdf</a>',
+    '<a href="https://contoso.sharepoint.com/sites/t/_layouts/15/download.aspx?UniqueId=1">version 1.2</a>',
+    '<a href="https://contoso.sharepoint.com/sites/t/_layouts/15/download.aspx?UniqueId=2">Q3 report.pdf</a>',
+    '<a href="https://contoso.sharepoint.com/:b:/s/t/EaBcD?e=x1">notes 2.0</a>',
+  ].join('');
+  await rewriteAttachments(html, { save: record });
+  assert.deepEqual(names, ['budget.xlsx', null, 'Q3 report.pdf', 'file.pdf']);
+});
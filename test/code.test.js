@@ -0,0 +1,42 @@
+/**
+ * code.test.js — Golden tests for Loop code components and inline code.
+ *
+ * Each fixtures/code/<name>.html is converted with htmlToMarkdown and compared
+ * with fixtures/code/<name>.md. To add a case, add both files.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { htmlToMarkdown } from '../src/markdown.js';
+import { codeSpan, normalizeLanguage } from '../src/code.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'code');
+
+for (const file of readdirSync(FIXTURES).filter((f) => f.endsWith('.html'))) {
+  const name = path.basename(file, '.html');
+  test(`code fixture: ${name}`, () => {
+    const html = readFileSync(path.join(FIXTURES, file), 'utf8');
+    const expected = readFileSync(path.join(FIXTURES, `${name}.md`), 'utf8');
+    assert.equal(`${htmlToMarkdown(html)}\n`, expected);
+  });
+}
+
+test('normalizeLanguage maps picker labels to fence info strings', () => {
+  assert.equal(normalizeLanguage('C#'), 'csharp');
+  assert.equal(normalizeLanguage('F#'), 'fsharp');
+  assert.equal(normalizeLanguage('Objective-C'), 'objectivec');
+  assert.equal(normalizeLanguage('Visual Basic'), 'vbnet');
+  assert.equal(normalizeLanguage('Plain Text'), '');
+  assert.equal(normalizeLanguage('TypeScript'), 'typescript');
+  assert.equal(normalizeLanguage(null), '');
+});
+
+test('codeSpan fences past the longest backtick run', () => {
+  assert.equal(codeSpan('plain'), '`plain`');
+  assert.equal(codeSpan('a `b` c'), '``a `b` c``');
+  assert.equal(codeSpan('``x'), '``` ``x ```');
+  assert.equal(codeSpan(''), '');
+});
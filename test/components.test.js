@@ -0,0 +1,32 @@
+/**
+ * components.test.js — Loop grid components: cell Markdown, CSV text and
+ * person chips.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../src/markdown.js';
+
+const TRACKER = `<div data-component-type="statusTracker"><div role="grid">
+  <div role="row">
+    <div role="columnheader">Item</div><div role="columnheader" data-column-type="person">Assigned to</div>
+  </div>
+  <div role="row">
+    <div role="gridcell"><a href="https://example.com/spec">Spec</a> is <strong>done</strong> | shipped</div>
+    <div role="gridcell"><span data-person-id="u1" aria-label="Jane Doe" data-email="jane@contoso.com">JD</span></div>
+  </div>
+</div></div>`;
+
+test('tracker cells are Markdown in the page and plain text in the CSV', () => {
+  const tables = [];
+  const md = htmlToMarkdown(TRACKER, {}, { tables });
+  assert.match(md, /\| \[Spec\]\(https:\/\/example\.com\/spec\) is \*\*done\*\* \\\| shipped \| @Jane Doe \|/);
+  assert.deepEqual(tables, [{ header: ['Item', 'Assigned to'], rows: [['Spec is done | shipped', 'Jane Doe']] }]);
+});
+
+test('person chips in tracker cells go through the mention format and are recorded', () => {
+  const mentions = [];
+  const md = htmlToMarkdown(TRACKER, {}, { mentions, mentionFormat: (p) => `[[People/jane|@${p.name}]]` });
+  assert.match(md, /\| \[\[People\/jane\\\|@Jane Doe\]\] \|/);
+  assert.deepEqual(mentions, [{ name: 'Jane Doe', email: 'jane@contoso.com', id: 'u1' }]);
+});
@@ -0,0 +1,42 @@
+/**
+ * conversion.test.js — What the rules collect while converting a page: tables,
+ * mentions and comment footnotes, each conversion on its own.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../src/markdown.js';
+
+const PAGE = [
+  '<p>Ask <span data-mention="" data-email="jane@contoso.com">@Jane Doe</span> about the ',
+  '<span data-comment-thread-id="t1">budget</span>.</p>',
+  '<table><tr><th>Item</th><th>Cost</th></tr><tr><td>Laptop</td><td>900</td></tr></table>',
+].join('');
+
+const thread = { id: 't1', anchorText: 'budget', resolved: false, comments: [{ author: 'Sam', timestamp: null, text: 'Too high?' }] };
+
+test('one conversion collects tables, mentions and comment footnotes', () => {
+  const tables = [];
+  const mentions = [];
+  const md = htmlToMarkdown(PAGE, {}, {
+    tables,
+    mentions,
+    mentionFormat: (person) => `[[People/${person.name}]]`,
+    commentFootnotes: [thread],
+  });
+  assert.match(md, /Ask \[\[People\/Jane Doe\]\] about the budget\[\^comment-1\]\./);
+  assert.match(md, /\[\^comment-1\]: /);
+  assert.deepEqual(tables, [{ header: ['Item', 'Cost'], rows: [['Laptop', '900']] }]);
+  assert.deepEqual(mentions.map((p) => p.email), ['jane@contoso.com']);
+});
+
+test('conversions do not share what they collect', () => {
+  const first = [];
+  const second = [];
+  htmlToMarkdown(PAGE, {}, { tables: first });
+  htmlToMarkdown('<p>No tables</p>', {}, { tables: second });
+  assert.equal(first.length, 1);
+  assert.deepEqual(second, []);
+  // Without a mention format, mentions are plain "@Name"
+  assert.match(htmlToMarkdown(PAGE), /Ask @Jane Doe about the budget\./);
+});
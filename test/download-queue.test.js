@@ -0,0 +1,164 @@
+/**
+ * download-queue.test.js — The asset download queue: concurrency, Retry-After,
+ * retries and temp-file cleanup, against a local server.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, rmSync, readdirSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { downloadAsset, createDownloadQueue, parseRetryAfter } from '../src/assets.js';
+import { backoffDelay } from '../src/failures.js';
+
+// ─── Queue ────────────────────────────────────────────────────────────────────
+
+test('createDownloadQueue never runs more than `concurrency` tasks at once', async () => {
+  const queue = createDownloadQueue({ concurrency: 3 });
+  let active = 0;
+  let peak = 0;
+  const task = async (i) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    active--;
+    return i;
+  };
+  const results = await Promise.all(Array.from({ length: 10 }, (_, i) => queue.run(() => task(i))));
+  assert.deepEqual(results, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(peak, 3);
+});
+
+test('a finished task hands its slot to the next waiter, not to a newcomer', async () => {
+  const queue = createDownloadQueue({ concurrency: 1 });
+  const started = [];
+  let active = 0;
+  let peak = 0;
+  let releaseFirst;
+  const task = (name, gate) => queue.run(async () => {
+    started.push(name);
+    peak = Math.max(peak, ++active);
+    if (gate) await gate;
+    active--;
+  });
+
+  const a = task('a', new Promise((resolve) => { releaseFirst = resolve; }));
+  const b = task('b');
+  const c = task('c');
+  releaseFirst();
+  await a;
+  const d = task('d'); // arrives while b and c are still waiting
+  await Promise.all([b, c, d]);
+  assert.deepEqual(started, ['a', 'b', 'c', 'd']);
+  assert.equal(peak, 1);
+});
+
+test('a failing task releases its slot', async () => {
+  const queue = createDownloadQueue({ concurrency: 1 });
+  await assert.rejects(queue.run(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(await queue.run(async () => 'next'), 'next');
+});
+
+// ─── Retry-After and backoff ──────────────────────────────────────────────────
+
+test('parseRetryAfter reads seconds and HTTP dates, clamped to 0…2 minutes', () => {
+  assert.equal(parseRetryAfter('5'), 5000);
+  assert.equal(parseRetryAfter(' 0 '), 0);
+  const inThirty = parseRetryAfter(new Date(Date.now() + 30_000).toUTCString());
+  assert.ok(inThirty > 28_000 && inThirty <= 30_000, String(inThirty));
+  assert.equal(parseRetryAfter(new Date(Date.now() - 60_000).toUTCString()), 0);
+  assert.equal(parseRetryAfter('86400'), 120_000);
+  assert.equal(parseRetryAfter('soon'), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test('backoffDelay doubles per attempt, with optional jitter', () => {
+  assert.deepEqual([1, 2, 3].map((n) => backoffDelay(n, 100)), [100, 200, 400]);
+  for (let i = 0; i < 20; i++) {
+    const wait = backoffDelay(3, 100, { jitter: 0.25 });
+    assert.ok(wait >= 300 && wait <= 500, String(wait));
+  }
+});
+
+// ─── Retries and temp files ───────────────────────────────────────────────────
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3]);
+const hits = {};
+let server;
+let base;
+let dir;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const n = (hits[req.url] = (hits[req.url] || 0) + 1);
+    res.setHeader('content-type', 'image/png');
+    if (req.url === '/busy' && n === 1) {
+      res.statusCode = 429;
+      res.setHeader('retry-after', '1');
+      return res.end();
+    }
+    if (req.url === '/flaky' && n === 1) {
+      res.statusCode = 503;
+      return res.end();
+    }
+    if (req.url === '/down') {
+      res.statusCode = 500;
+      return res.end();
+    }
+    if (req.url === '/cut' && n === 1) {
+      // Promise a full body, send a few bytes, then drop the connection
+      res.setHeader('content-length', '1000');
+      res.write(PNG.subarray(0, 4));
+      return setTimeout(() => res.destroy(), 20);
+    }
+    if (req.url === '/gone') {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.end(PNG);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+  dir = mkdtempSync(path.join(os.tmpdir(), 'loop-queue-'));
+});
+
+after(() => {
+  server.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const context = () => ({ queue: createDownloadQueue({ retries: 2, retryDelay: 10, timeoutSeconds: 5 }) });
+const leftovers = () => readdirSync(dir).filter((f) => f.endsWith('.download'));
+
+test('a 5xx is retried and the file is written once complete', async () => {
+  assert.match(await downloadAsset(`${base}/flaky`, dir, context()), /^\.\/_assets\/flaky_\w+\.png$/);
+  assert.equal(hits['/flaky'], 2);
+  assert.deepEqual(leftovers(), []);
+});
+
+test('a 429 waits for Retry-After before the next attempt', async () => {
+  const started = Date.now();
+  assert.ok(await downloadAsset(`${base}/busy`, dir, context()));
+  assert.ok(Date.now() - started >= 950, 'waited about a second');
+  assert.equal(hits['/busy'], 2);
+});
+
+test('an interrupted body leaves no partial file and is retried', async () => {
+  const local = await downloadAsset(`${base}/cut`, dir, context());
+  assert.ok(local);
+  assert.equal(hits['/cut'], 2);
+  assert.deepEqual(readdirSync(dir).filter((f) => f.startsWith('cut_')), [path.basename(local)]);
+  assert.deepEqual(leftovers(), []);
+});
+
+test('retries stop after `retries` extra attempts, leaving nothing behind', async () => {
+  assert.equal(await downloadAsset(`${base}/down`, dir, context()), null);
+  assert.equal(hits['/down'], 3);
+  assert.ok(!readdirSync(dir).some((f) => f.startsWith('down_')));
+});
+
+test('a 404 is not retried', async () => {
+  assert.equal(await downloadAsset(`${base}/gone`, dir, context()), null);
+  assert.equal(hits['/gone'], 1);
+});
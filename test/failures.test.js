@@ -0,0 +1,31 @@
+/**
+ * failures.test.js — Failure categories and which of them are retried.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FAILURE, failure, classifyFailure, isRetryable } from '../src/failures.js';
+import { runPluginHook, applyPluginRules } from '../src/plugins.js';
+
+test('untagged errors are classified from their code or message', () => {
+  assert.equal(classifyFailure(Object.assign(new Error('no space'), { code: 'ENOSPC' })), FAILURE.WRITE_ERROR);
+  assert.equal(classifyFailure(new Error('page.goto: Timeout 30000ms exceeded')), FAILURE.NAVIGATION_TIMEOUT);
+  assert.equal(classifyFailure(new Error('net::ERR_CONNECTION_RESET')), FAILURE.NAVIGATION_ERROR);
+  assert.equal(classifyFailure(new Error('something else')), FAILURE.UNKNOWN);
+  assert.equal(classifyFailure(failure(FAILURE.CONTENT_NOT_FOUND, 'empty')), FAILURE.CONTENT_NOT_FOUND);
+});
+
+test('conversion errors are not retried', () => {
+  assert.equal(isRetryable(FAILURE.CONVERSION_ERROR), false);
+  assert.equal(isRetryable(FAILURE.UNKNOWN), true);
+});
+
+test('plugin failures are conversion errors', () => {
+  const broken = { name: 'broken.js', postprocess: () => { throw new Error('oops'); } };
+  assert.throws(() => runPluginHook([broken], 'postprocess', 'md', {}), (err) =>
+    err.category === FAILURE.CONVERSION_ERROR && /Plugin broken\.js postprocess failed: oops/.test(err.message));
+
+  const badRules = { name: 'rules.js', rules: () => { throw new Error('bad rule'); } };
+  assert.throws(() => applyPluginRules({ options: { rules: {} }, rules: { array: [] } }, [badRules]), (err) =>
+    classifyFailure(err) === FAILURE.CONVERSION_ERROR);
+});
@@ -0,0 +1,28 @@
+/**
+ * helpers.test.js — Shared HTML entity and path helpers.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { decodeEntities, escapeAttribute, toPosix } from '../src/helpers.js';
+
+test('decodeEntities decodes named and numeric entities once', () => {
+  assert.equal(decodeEntities('a &lt;b&gt; &quot;c&quot; &#39;d&apos; &#8364; &#x1F600;'), 'a <b> "c" \'d\' € 😀');
+  assert.equal(decodeEntities('&amp;lt; stays &lt;'), '&lt; stays <');
+  assert.equal(decodeEntities('x&nbsp;y z&#160;!'), 'x y z !');
+});
+
+test('decodeEntities keeps numeric entities that are not valid code points', () => {
+  assert.equal(decodeEntities('a&#99999999;b &#xD800; &#x110000; &#65;'), 'a&#99999999;b &#xD800; &#x110000; A');
+});
+
+test('escapeAttribute round-trips through decodeEntities', () => {
+  const value = 'Q&A "final" &amp; more.pdf';
+  assert.equal(escapeAttribute(value), 'Q&amp;A &quot;final&quot; &amp;amp; more.pdf');
+  assert.equal(decodeEntities(escapeAttribute(value)), value);
+});
+
+test('toPosix joins path segments with forward slashes', () => {
+  assert.equal(toPosix(['notes', '_assets', 'a.png'].join(path.sep)), 'notes/_assets/a.png');
+});
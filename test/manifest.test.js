@@ -0,0 +1,39 @@
+/**
+ * manifest.test.js — Rebuilding page trees from flat (v1) page lists.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPageTree, countPages } from '../src/manifest.js';
+
+const titles = (pages) => pages.map((p) => (p.childPages.length ? [p.title, titles(p.childPages)] : p.title));
+
+test('children nest under their parents in list order', () => {
+  const tree = buildPageTree([
+    { id: 'a', title: 'A' },
+    { id: 'b', title: 'B', parentId: 'a' },
+    { id: 'c', title: 'C', parentId: 'a' },
+    { id: 'd', title: 'D', parentId: 'b' },
+  ]);
+  assert.deepEqual(titles(tree), [['A', [['B', ['D']], 'C']]]);
+});
+
+test('pages with a missing parent become roots', () => {
+  const tree = buildPageTree([{ id: 'a', title: 'A', parentId: 'gone' }, { id: 'b', title: 'B', parentId: 'b' }]);
+  assert.deepEqual(titles(tree), ['A', 'B']);
+});
+
+test('a parent cycle is broken at its first page instead of dropping it', () => {
+  const flat = [
+    { id: 'root', title: 'Root' },
+    { id: 'a', title: 'A', parentId: 'b' },
+    { id: 'b', title: 'B', parentId: 'a' },
+    { id: 'c', title: 'C', parentId: 'b' },
+    { id: 'x', title: 'X', parentId: 'z' },
+    { id: 'y', title: 'Y', parentId: 'x' },
+    { id: 'z', title: 'Z', parentId: 'y' },
+  ];
+  const tree = buildPageTree(flat);
+  assert.equal(countPages(tree), flat.length);
+  assert.deepEqual(titles(tree), ['Root', ['A', [['B', ['C']]]], ['X', [['Y', ['Z']]]]]);
+});
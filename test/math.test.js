@@ -0,0 +1,25 @@
+/**
+ * math.test.js — MathML without a TeX source, translated to TeX.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../src/markdown.js';
+
+const math = (inner) => htmlToMarkdown(`<p>Set <math><mrow>${inner}</mrow></math></p>`);
+
+test('mfenced braces are escaped as TeX delimiters', () => {
+  assert.equal(math('<mfenced open="{" close="}"><mi>x</mi><mi>y</mi></mfenced>'), 'Set $\\left\\{x,y\\right\\}$');
+});
+
+test('mfenced maps norms, empty and default delimiters', () => {
+  assert.equal(math('<mfenced open="‖" close="‖"><mi>v</mi></mfenced>'), 'Set $\\left\\|v\\right\\|$');
+  assert.equal(math('<mfenced open="|" close=""><mi>x</mi></mfenced>'), 'Set $\\left|x\\right.$');
+  assert.equal(math('<mfenced><mi>a</mi></mfenced>'), 'Set $\\left(a\\right)$');
+});
+
+test('literal dollars are escaped only where $…$ renders as TeX', () => {
+  const html = '<p>Costs $5 and $10</p>';
+  assert.equal(htmlToMarkdown(html, {}, { texMath: true }), 'Costs \\$5 and \\$10');
+  assert.equal(htmlToMarkdown(html, {}, { texMath: false }), 'Costs $5 and $10');
+});
@@ -0,0 +1,30 @@
+/**
+ * plugins.test.js — Plugin hooks run in order and must be synchronous.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runPluginHook } from '../src/plugins.js';
+
+test('hooks run in order; returning nothing keeps the value', () => {
+  const plugins = [
+    { name: 'a.js', postprocess: (md) => `${md}a` },
+    { name: 'b.js', postprocess: () => undefined },
+    { name: 'c.js', postprocess: (md) => `${md}c` },
+  ];
+  assert.equal(runPluginHook(plugins, 'postprocess', 'md:', {}), 'md:ac');
+});
+
+test('an async plugin hook is refused without leaving its rejection unhandled', async () => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  try {
+    const async = { name: 'async.js', preprocess: async () => { throw new Error('late'); } };
+    assert.throws(() => runPluginHook([async], 'preprocess', '<p></p>', {}), /must be synchronous/);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    assert.deepEqual(unhandled, []);
+  } finally {
+    process.off('unhandledRejection', onUnhandled);
+  }
+});
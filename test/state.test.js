@@ -0,0 +1,47 @@
+/**
+ * state.test.js — Loading export-state.json, including damaged files.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadState, saveState, STATE_FILENAME } from '../src/state.js';
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'loop-state-'));
+});
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+const write = (value) => writeFileSync(path.join(dir, STATE_FILENAME), typeof value === 'string' ? value : JSON.stringify(value));
+
+test('a missing checkpoint loads as an empty state', () => {
+  const state = loadState(dir);
+  assert.deepEqual(state.pages, {});
+  assert.deepEqual(state.binaryAssets, []);
+});
+
+test('a saved checkpoint loads back', () => {
+  const state = loadState(dir);
+  state.pages['https://loop/p/1'] = { title: 'One' };
+  saveState(dir, state);
+  assert.deepEqual(loadState(dir).pages, { 'https://loop/p/1': { title: 'One' } });
+});
+
+test('damaged checkpoints load as an empty state instead of throwing later', () => {
+  for (const damaged of ['null', '[]', '"x"', { pages: null }, { pages: [] }, { pages: 'x' }, '{"pages":']) {
+    write(damaged);
+    const state = loadState(dir);
+    assert.deepEqual(state.pages, {}, JSON.stringify(damaged));
+    assert.equal(state.pages['https://loop/p/1'], undefined);
+  }
+});
+
+test('damaged sections are replaced, the rest is kept', () => {
+  write({ pages: { a: { title: 'A' } }, paths: null, people: [], components: 'x', binaryAssets: {} });
+  const state = loadState(dir);
+  assert.deepEqual(state.pages, { a: { title: 'A' } });
+  assert.deepEqual([state.paths, state.people, state.components, state.binaryAssets], [{}, {}, {}, []]);
+});
@@ -0,0 +1,27 @@
+/**
+ * tables.test.js — Tables GFM can't express fall back to cleaned-up HTML.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToMarkdown } from '../src/markdown.js';
+
+const merged = (cell) => `<table><tr><th colspan="2">Owner</th></tr><tr><td>${cell}</td><td>b</td></tr></table>`;
+
+test('the HTML fallback keeps colspan and drops Loop attributes', () => {
+  const md = htmlToMarkdown(merged('<span class="x" data-loop="1" style="color:red">a</span>'));
+  assert.equal(md, '<table><tbody><tr><th colspan="2">Owner</th></tr><tr><td><span>a</span></td><td>b</td></tr></tbody></table>');
+});
+
+test('links to exported pages in the HTML fallback point at the vault path, not Loop', () => {
+  const link = '<a href="https://loop.cloud.microsoft/p/abc" data-wikilink="Team/Sprint plan" class="loop-link">Sprint plan</a>';
+  const md = htmlToMarkdown(merged(link));
+  assert.match(md, /<a href="Team\/Sprint plan" class="internal-link" data-href="Team\/Sprint plan">Sprint plan<\/a>/);
+  assert.ok(!md.includes('loop.cloud.microsoft'));
+});
+
+test('hard breaks in a cell become a bare <br>', () => {
+  const md = htmlToMarkdown('<table><tr><td>a<br>b</td><td>c<br>d</td></tr></table>');
+  assert.match(md, /\| a<br>b \| c<br>d \|/);
+  assert.ok(!/ +<br>/.test(md), md);
+});
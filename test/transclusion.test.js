@@ -0,0 +1,103 @@
+/**
+ * transclusion.test.js — Components found on several pages written once and
+ * embedded in the layout's syntax, against a temporary output folder.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { htmlToMarkdown } from '../src/markdown.js';
+import { createComponentStore } from '../src/transclusion.js';
+import { resolveLayout } from '../src/layouts.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = mkdtempSync(path.join(os.tmpdir(), 'loop-components-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+const component = (id, text) => `<div data-loop-component-id="${id}"><p>${text}</p></div>`;
+
+/** A store, and a function converting one page (and recording it, unless it "fails"). */
+function setup(layoutName) {
+  const layout = resolveLayout(layoutName);
+  const state = { pages: {}, components: {} };
+  const store = createComponentStore(state, dir, { dir: '_components', layout });
+  const convert = (key, html, { fails = false } = {}) => {
+    const file = path.join(dir, layout.contentDir, 'notes', `${key}.md`);
+    const components = [];
+    const md = htmlToMarkdown(html, { title: 'Page' }, {
+      components,
+      componentEmbed: (c) => store.embed(c, file, key),
+    });
+    if (!fails) {
+      state.pages[key] = { file, contentHash: 'hash' };
+      store.recordPage(key, components, file);
+    }
+    return md;
+  };
+  return { layout, state, store, convert };
+}
+
+test('a component on a single page stays inline and writes no file', () => {
+  const { store, convert } = setup('obsidian');
+  const md = convert('a', component('c1', 'Roadmap'));
+  assert.match(md, /Roadmap/);
+  assert.ok(!md.includes('![['));
+  assert.deepEqual(store.write(), { written: [], stale: [] });
+  assert.ok(!existsSync(store.dir));
+});
+
+test('a component seen on a second page is embedded and written once', () => {
+  const { state, store, convert } = setup('obsidian');
+  convert('a', component('c1', 'Roadmap'));
+  const md = convert('b', component('c1', 'Roadmap'));
+  assert.match(md, /^!\[\[_components\/[\w-]+\]\]$/m);
+  assert.ok(!md.includes('Roadmap'));
+
+  const { written, stale } = store.write();
+  assert.equal(written.length, 1);
+  assert.match(readFileSync(written[0], 'utf8'), /Roadmap/);
+  // Page a was written with the component inline: flagged for --changed-only
+  assert.deepEqual(stale, ['a']);
+  assert.equal(state.pages.a.contentHash, null);
+  assert.equal(state.pages.b.contentHash, 'hash');
+
+  // Once a is exported again it embeds the component too
+  assert.match(convert('a', component('c1', 'Roadmap')), /!\[\[_components\//);
+  assert.deepEqual(store.write().stale, []);
+});
+
+test('a page that fails after conversion leaves no component files', () => {
+  const { store, convert } = setup('obsidian');
+  convert('a', component('c1', 'Roadmap'));
+  convert('b', component('c1', 'Roadmap'), { fails: true });
+  assert.deepEqual(store.write().written, []);
+  assert.ok(!existsSync(store.dir));
+});
+
+test('MDX imports go after the frontmatter, once each, with only the tag in place', () => {
+  const { convert } = setup('docusaurus');
+  convert('other', component('c1', 'Board') + component('c2', 'Tracker'));
+  const md = convert('page', [
+    '<p>Intro</p>',
+    `<ul><li>Item ${component('c1', 'Board')}</li></ul>`,
+    component('c1', 'Board'),
+    component('c2', 'Tracker'),
+  ].join(''));
+
+  const [, frontmatter, body] = md.match(/^(---\n[\s\S]*?\n---\n)([\s\S]*)$/);
+  assert.match(frontmatter, /title: "Page"/);
+  const [top, rest] = body.trim().split('\n\nIntro');
+  const imports = top.split('\n');
+  assert.equal(imports.length, 2);
+  for (const line of imports) assert.match(line, /^import Loop\w+ from '\.\.\/_components\/[\w-]+\.md';$/);
+  assert.ok(!rest.includes('import '), 'no import inside the list');
+  assert.equal(rest.match(/<Loop\w+ \/>/g).length, 3);
+});